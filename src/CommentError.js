@@ -2,10 +2,11 @@
  * Custom error class for comment-related errors
  */
 class CommentError extends Error {
-  constructor(message, code) {
+  constructor(message, code, details = {}) {
     super(message);
     this.name = 'CommentError';
     this.code = code;
+    Object.assign(this, details);
     Error.captureStackTrace(this, this.constructor);
   }
 }
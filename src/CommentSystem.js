@@ -6,28 +6,321 @@
  * @license MIT
  */
 
+const { EventEmitter } = require('events');
 const CommentError = require('./CommentError');
-const { buildTree, sortComments } = require('./utils');
+const { createRateLimiter } = require('./rateLimiter');
+const { createNormalizer, normalizeAdapter } = require('./normalize');
+const { renderMarkdown } = require('./markdown');
+const { assertFormat, serializeThread, parseThreadExport } = require('./serialize');
+const { parseSearchQuery } = require('./search');
+const { createMemoryFeed } = require('./feed');
+const {
+  buildTree,
+  flattenTree,
+  sortComments,
+  truncateTree,
+  pruneDeleted,
+  fillReplyCounts,
+  encodeCursor,
+  decodeCursor,
+  parseMentions
+} = require('./utils');
 
 const DEFAULT_OPTIONS = {
   maxDepth: 10,
-  maxLength: 10000
+  maxLength: 10000,
+  maxSourceLength: null,
+  moderation: [],
+  rateLimit: null,
+  pruneDeleted: false,
+  fieldMap: 'auto',
+  resolveMentions: null,
+  allowedReactions: null,
+  markdown: false,
+  feed: null
 };
 
+// Page size used when reading a whole post from the adapter
+const FETCH_BATCH_SIZE = 500;
+
+// Safety limit when walking up a reply chain
+const MAX_ANCESTORS = 100;
+
+const HOOK_NAMES = ['beforeCreate', 'beforeReply', 'beforeEdit', 'beforeDelete', 'beforeVote'];
+
+const VOTE_VALUES = {
+  up: 1,
+  down: -1,
+  clear: 0
+};
+
+// Longest reaction code accepted when no allowed set is configured
+const MAX_REACTION_LENGTH = 32;
+
 /**
  * CommentSystem - handles nested comments
+ * 
+ * Emits comment:created, comment:replied, comment:edited, comment:deleted
+ * and comment:scored with { comment, agentId } once an operation has been stored.
  */
-class CommentSystem {
+class CommentSystem extends EventEmitter {
   /**
    * Create a new CommentSystem
    * 
    * @param {Object} adapter - Storage adapter
    * @param {Object} options - Configuration options
+   * @param {Object} options.hooks - before* hooks by name (function or array)
+   * @param {Array<Function>} options.moderation - Content validators, run in order
+   * @param {Function} options.canModerate - Async (agentId, postId) => boolean
+   * @param {Object} options.rateLimit - Rate limiter, or options for createRateLimiter
+   * @param {boolean} options.pruneDeleted - Leave deleted comments without replies out of threads
+   * @param {string|Object} options.fieldMap - Row field naming (auto, camelCase, snake_case or a map)
+   * @param {Function} options.resolveMentions - Async (names, { postId, authorId }) => agent IDs
+   * @param {Array<string>} options.allowedReactions - Accepted reactions (default: any short code)
+   * @param {boolean} options.markdown - Treat content as Markdown and add contentHtml to comments
+   * @param {number} options.maxSourceLength - With markdown, longest content accepted markup included (default 4 × maxLength)
+   * @param {Object} options.feed - Event feed for subscribe(), or options for createMemoryFeed
    */
   constructor(adapter, options = {}) {
+    super();
     this._validateAdapter(adapter);
-    this.adapter = adapter;
     this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.adapter = normalizeAdapter(adapter, createNormalizer(this.options.fieldMap));
+    this._hooks = new Map(HOOK_NAMES.map(name => [name, []]));
+    this._rateLimiter = this._createRateLimiter(this.options.rateLimit);
+    this._feed = this._createFeed(this.options.feed);
+    
+    for (const [name, fns] of Object.entries(this.options.hooks || {})) {
+      for (const fn of [].concat(fns)) {
+        this.hook(name, fn);
+      }
+    }
+  }
+
+  /**
+   * Register a before* hook
+   * Hooks run in order before an operation is stored. They may mutate the
+   * context they receive, or veto the operation by throwing a CommentError.
+   * 
+   * @param {string} name - Hook name (beforeCreate, beforeReply, beforeEdit, beforeDelete, beforeVote)
+   * @param {Function} fn - Async hook receiving the operation context
+   * @returns {Function} Function that removes the hook
+   */
+  hook(name, fn) {
+    if (!this._hooks.has(name)) {
+      throw new Error(`Unknown hook: ${name}`);
+    }
+    
+    if (typeof fn !== 'function') {
+      throw new Error(`Hook ${name} must be a function`);
+    }
+    
+    const hooks = this._hooks.get(name);
+    hooks.push(fn);
+    
+    return () => {
+      const index = hooks.indexOf(fn);
+      if (index !== -1) hooks.splice(index, 1);
+    };
+  }
+
+  /**
+   * Run registered hooks in order
+   * @private
+   */
+  async _runHooks(name, context) {
+    for (const fn of this._hooks.get(name)) {
+      await fn(context);
+    }
+  }
+
+  /**
+   * Subscribe to a post's live events
+   * The listener receives { seq, type, postId, comment, agentId } for every
+   * comment event on the post, one at a time and in sequence order. With
+   * since, events after that sequence number are replayed first; when the
+   * feed no longer has them the listener gets a feed:reset event instead and
+   * should reload the thread.
+   * 
+   * @param {string} postId - Post ID
+   * @param {Function} listener - Receives each event; may be async
+   * @param {Object} options - Subscription options
+   * @param {number} options.since - Last sequence number the client has seen
+   * @returns {Promise<Function>} Function that ends the subscription
+   */
+  async subscribe(postId, listener, { since } = {}) {
+    if (!this._feed) {
+      throw new Error('Subscriptions need the feed option');
+    }
+    
+    if (typeof listener !== 'function') {
+      throw new Error('Subscription listener must be a function');
+    }
+    
+    if (since !== undefined && !(Number.isInteger(since) && since >= 0)) {
+      throw new CommentError('since must be a sequence number', 'INVALID_SEQUENCE');
+    }
+    
+    let last = since ?? -1;
+    let active = true;
+    let delivery = Promise.resolve();
+    
+    // Events are skipped once seen, so replayed and live events never repeat
+    const deliver = event => {
+      if (!active || event.seq <= last) return;
+      last = event.seq;
+      
+      delivery = delivery
+        .then(() => active && listener(event))
+        .catch(error => this.emit('feed:error', { error, postId, event }));
+    };
+    
+    // Listen before reading, so nothing published during the catch-up is lost
+    let pending = since === undefined ? null : [];
+    const unlisten = this._feed.listen(postId, event => (pending ? pending.push(event) : deliver(event)));
+    
+    if (pending) {
+      try {
+        const missed = await this._feed.read(postId, since);
+        
+        if (missed) {
+          missed.forEach(deliver);
+        } else {
+          // since may be ahead of a feed that restarted, so start over from the reset
+          last = -1;
+          deliver({ seq: await this._feed.position(postId), type: 'feed:reset', postId, comment: null, agentId: null });
+        }
+      } catch (error) {
+        unlisten();
+        throw error;
+      }
+      
+      pending.forEach(deliver);
+      pending = null;
+    }
+    
+    return () => {
+      active = false;
+      unlisten();
+    };
+  }
+
+  /**
+   * Get the sequence number to pass as since after loading a thread
+   * Read it before getThread: events in between are replayed, so none are missed.
+   * 
+   * @param {string} postId - Post ID
+   * @returns {Promise<number>} Sequence number
+   */
+  async getFeedPosition(postId) {
+    if (!this._feed) {
+      throw new Error('Subscriptions need the feed option');
+    }
+    
+    return this._feed.position(postId);
+  }
+
+  /**
+   * Emit an event and publish it to the post's feed
+   * @private
+   */
+  async _broadcast(event, payload, erased) {
+    this.emit(event, payload);
+    await this._publish(event, payload, erased);
+  }
+
+  /**
+   * Publish an event to its post's feed
+   * erased lists comments whose content the event hides or erases (true for
+   * the whole post); their earlier events are dropped first, so a replay
+   * never hands the content out again. Purged comments are published by ID
+   * only. A feed that fails is reported with feed:error; the write has
+   * already been stored.
+   * @private
+   */
+  async _publish(event, payload, erased) {
+    if (!this._feed) {
+      return;
+    }
+    
+    const { agentId = null, count } = payload;
+    const postId = payload.postId ?? payload.comment.postId;
+    
+    let comment = payload.comment ?? null;
+    if (comment && event === 'comment:purged') {
+      comment = { id: comment.id, postId: comment.postId, parentId: comment.parentId ?? null };
+    }
+    
+    const message = { type: event, postId, comment, agentId };
+    
+    if (count !== undefined) {
+      message.count = count;
+    }
+    
+    try {
+      if (erased) {
+        await this._feed.forget(postId, erased === true ? null : erased);
+      }
+      
+      await this._feed.publish(postId, message);
+    } catch (error) {
+      this.emit('feed:error', { error, postId, event: message });
+    }
+  }
+
+  /**
+   * Resolve the feed option to a feed
+   * @private
+   */
+  _createFeed(feed) {
+    if (!feed) {
+      return null;
+    }
+    
+    if (typeof feed.publish === 'function') {
+      if (typeof feed.forget !== 'function') {
+        throw new Error('Feed must implement forget(postId, commentIds)');
+      }
+      return feed;
+    }
+    
+    return createMemoryFeed(feed);
+  }
+
+  /**
+   * Resolve the rateLimit option to a limiter
+   * @private
+   */
+  _createRateLimiter(rateLimit) {
+    if (!rateLimit) {
+      return null;
+    }
+    
+    if (typeof rateLimit.consume === 'function') {
+      return rateLimit;
+    }
+    
+    return createRateLimiter(rateLimit);
+  }
+
+  /**
+   * Throw if the agent has run out of comment budget
+   * @private
+   */
+  async _checkRateLimit(authorId, postId) {
+    if (!this._rateLimiter) {
+      return;
+    }
+    
+    const { allowed, retryAfter } = await this._rateLimiter.consume({ authorId, postId });
+    
+    if (!allowed) {
+      throw new CommentError(
+        `Rate limit exceeded, retry after ${retryAfter}s`,
+        'RATE_LIMITED',
+        { retryAfter }
+      );
+    }
   }
 
   /**
@@ -59,7 +352,19 @@ class CommentSystem {
       throw new CommentError('Content cannot be empty', 'EMPTY_CONTENT');
     }
     
-    if (trimmed.length > this.options.maxLength) {
+    // Markup does not count towards maxLength, but the source is capped before it is parsed
+    const maxSourceLength = this.options.maxSourceLength ?? this.options.maxLength * 4;
+    
+    if (this.options.markdown && trimmed.length > maxSourceLength) {
+      throw new CommentError(
+        `Content exceeds maximum source length of ${maxSourceLength}`,
+        'MAX_LENGTH'
+      );
+    }
+    
+    const length = this.options.markdown ? renderMarkdown(trimmed).text.length : trimmed.length;
+    
+    if (length > this.options.maxLength) {
       throw new CommentError(
         `Content exceeds maximum length of ${this.options.maxLength}`,
         'MAX_LENGTH'
@@ -69,6 +374,182 @@ class CommentSystem {
     return trimmed;
   }
 
+  /**
+   * Run content through the moderation pipeline
+   * Validators may replace the content, flag it for review or reject it.
+   * @private
+   */
+  async _moderateContent(content, context) {
+    let current = this._validateContent(content);
+    const flags = [];
+    
+    for (const validator of this.options.moderation) {
+      const result = await validator(current, context);
+      
+      if (typeof result === 'string') {
+        current = this._validateContent(result);
+      } else if (result) {
+        if (result.content !== undefined) {
+          current = this._validateContent(result.content);
+        }
+        if (result.flag) {
+          flags.push(result.flag);
+        }
+      }
+    }
+    
+    return { content: current, flags };
+  }
+
+  /**
+   * Prepare a stored comment for readers
+   * Removed comments keep their content in storage so they can be restored.
+   * With markdown on, the rendered HTML is added as contentHtml.
+   * @private
+   */
+  _present(comment) {
+    if (!comment) {
+      return comment;
+    }
+    
+    const presented = comment.isRemoved ? { ...comment, content: '[removed]' } : comment;
+    
+    if (this.options.markdown) {
+      return { ...presented, contentHtml: renderMarkdown(presented.content).html };
+    }
+    
+    return presented;
+  }
+
+  /**
+   * Attach aggregate reaction counts to comments
+   * @private
+   */
+  async _withReactions(comments) {
+    if (typeof this.adapter.getReactionCounts !== 'function' || comments.length === 0) {
+      return comments;
+    }
+    
+    const counts = await this.adapter.getReactionCounts(comments.map(comment => comment.id));
+    
+    return comments.map(comment => ({ ...comment, reactions: counts[comment.id] || {} }));
+  }
+
+  /**
+   * Throw unless the agent may moderate the post
+   * @private
+   */
+  async _assertModerator(agentId, postId) {
+    const allowed = typeof this.options.canModerate === 'function'
+      ? await this.options.canModerate(agentId, postId)
+      : false;
+    
+    if (!allowed) {
+      throw new CommentError('Agent is not a moderator of this post', 'FORBIDDEN');
+    }
+  }
+
+  /**
+   * Get a comment's ancestors, nearest first
+   * Uses the adapter's getAncestors, falling back to following parentId.
+   * @private
+   */
+  async _getAncestors(comment, limit = MAX_ANCESTORS, adapter = this.adapter) {
+    if (typeof adapter.getAncestors === 'function') {
+      return adapter.getAncestors(comment.id, { limit });
+    }
+    
+    const ancestors = [];
+    let current = comment;
+    
+    while (current.parentId && ancestors.length < limit) {
+      current = await adapter.getComment(current.parentId);
+      if (!current) break;
+      ancestors.push(current);
+    }
+    
+    return ancestors;
+  }
+
+  /**
+   * Run a read-check-write flow in an adapter transaction when supported
+   * fn receives the adapter to use for every read and write of the flow.
+   * @private
+   */
+  async _transaction(fn) {
+    if (typeof this.adapter.transaction === 'function') {
+      return this.adapter.transaction(fn);
+    }
+    
+    return fn(this.adapter);
+  }
+
+  /**
+   * Find the nearest locked comment among a comment and its ancestors
+   * @private
+   */
+  async _findLock(comment, adapter = this.adapter) {
+    if (comment.isLocked) {
+      return comment;
+    }
+    
+    const ancestors = await this._getAncestors(comment, MAX_ANCESTORS, adapter);
+    return ancestors.find(ancestor => ancestor.isLocked) || null;
+  }
+
+  /**
+   * Notify the parent's author and mentioned agents about a new comment
+   * Skipped when the adapter has no notification store, and for comments
+   * held for review until they are approved. Agents are never notified
+   * about their own comments.
+   * @private
+   */
+  async _notify(comment, parent = null) {
+    if (typeof this.adapter.saveNotification !== 'function' || comment.status === 'pending') {
+      return;
+    }
+    
+    // agentId -> type; a reply notification wins over a mention of the same agent
+    const recipients = new Map();
+    
+    if (parent && parent.authorId) {
+      recipients.set(parent.authorId, 'reply');
+    }
+    
+    // Mentions inside Markdown code and URLs do not count
+    const names = this.options.markdown
+      ? renderMarkdown(comment.content).mentions
+      : parseMentions(comment.content);
+    
+    if (names.length > 0) {
+      const agentIds = typeof this.options.resolveMentions === 'function'
+        ? await this.options.resolveMentions(names, { postId: comment.postId, authorId: comment.authorId })
+        : names;
+      
+      for (const agentId of agentIds || []) {
+        if (agentId && !recipients.has(agentId)) {
+          recipients.set(agentId, 'mention');
+        }
+      }
+    }
+    
+    recipients.delete(comment.authorId);
+    
+    for (const [agentId, type] of recipients) {
+      const notification = await this.adapter.saveNotification({
+        agentId,
+        type,
+        commentId: comment.id,
+        postId: comment.postId,
+        actorId: comment.authorId,
+        isRead: false,
+        createdAt: new Date()
+      });
+      
+      this.emit('notification:created', { notification });
+    }
+  }
+
   /**
    * Create a new top-level comment
    * 
@@ -87,19 +568,36 @@ class CommentSystem {
       throw new CommentError('Author ID is required', 'MISSING_AUTHOR');
     }
     
-    const validatedContent = this._validateContent(content);
+    await this._checkRateLimit(authorId, postId);
     
-    const comment = await this.adapter.saveComment({
+    const moderated = await this._moderateContent(content, {
+      action: 'create',
       postId,
       authorId,
-      content: validatedContent,
+      parentId: null
+    });
+    
+    const draft = {
+      postId,
+      authorId,
+      content: moderated.content,
       parentId: null,
       depth: 0,
       score: 0,
       upvotes: 0,
       downvotes: 0,
+      status: moderated.flags.length > 0 ? 'pending' : 'published',
+      flags: moderated.flags,
       createdAt: new Date()
-    });
+    };
+    
+    await this._runHooks('beforeCreate', { comment: draft, agentId: authorId });
+    
+    const comment = this._present(await this.adapter.saveComment(draft));
+    
+    await this._broadcast('comment:created', { comment, agentId: authorId });
+    
+    await this._notify(comment);
     
     return comment;
   }
@@ -127,20 +625,16 @@ class CommentSystem {
       throw new CommentError('Author ID is required', 'MISSING_AUTHOR');
     }
     
-    // Get parent comment
-    const parent = await this.adapter.getComment(parentId);
+    await this._checkRateLimit(authorId, postId);
     
-    if (!parent) {
-      throw new CommentError('Parent comment not found', 'PARENT_NOT_FOUND');
-    }
+    const current = this._assertParent(await this.adapter.getComment(parentId), postId);
     
-    if (parent.postId !== postId && parent.post_id !== postId) {
-      throw new CommentError('Parent comment belongs to different post', 'INVALID_PARENT');
+    if (await this._findLock(current)) {
+      throw new CommentError('Replies to this thread are locked', 'LOCKED');
     }
     
-    // Check depth
-    const parentDepth = parent.depth ?? 0;
-    const newDepth = parentDepth + 1;
+    // Check depth; a comment's depth never changes, so this holds until the save
+    const newDepth = (current.depth ?? 0) + 1;
     
     if (newDepth > this.options.maxDepth) {
       throw new CommentError(
@@ -149,110 +643,1296 @@ class CommentSystem {
       );
     }
     
-    const validatedContent = this._validateContent(content);
+    // Validators and hooks may be slow or call out, so they run before any row is locked
+    const moderated = await this._moderateContent(content, {
+      action: 'reply',
+      postId,
+      authorId,
+      parentId
+    });
     
-    const comment = await this.adapter.saveComment({
+    const draft = {
       postId,
       authorId,
-      content: validatedContent,
+      content: moderated.content,
       parentId,
       depth: newDepth,
       score: 0,
       upvotes: 0,
       downvotes: 0,
+      status: moderated.flags.length > 0 ? 'pending' : 'published',
+      flags: moderated.flags,
       createdAt: new Date()
+    };
+    
+    await this._runHooks('beforeReply', { comment: draft, parent: current, agentId: authorId });
+    
+    // The parent is checked again with the save, so a concurrent lock or purge cannot slip in between
+    const { parent, saved } = await this._transaction(async adapter => {
+      const parent = this._assertParent(await adapter.getComment(parentId), postId);
+      
+      if (await this._findLock(parent, adapter)) {
+        throw new CommentError('Replies to this thread are locked', 'LOCKED');
+      }
+      
+      return { parent, saved: await adapter.saveComment(draft) };
     });
     
+    const comment = this._present(saved);
+    
+    await this._broadcast('comment:replied', { comment, parent, agentId: authorId });
+    
+    await this._notify(comment, parent);
+    
     return comment;
   }
 
   /**
-   * Get comment thread for a post
-   * 
-   * @param {string} postId - Post ID
-   * @param {Object} options - Query options
-   * @param {string} options.sort - Sort method (top, new, old, controversial)
-   * @param {number} options.limit - Max comments
-   * @param {number} options.offset - Offset for pagination
-   * @returns {Promise<Array>} Nested comment tree
+   * Throw unless a comment can be replied to on a post
+   * @private
    */
-  async getThread(postId, { sort = 'top', limit = 100, offset = 0 } = {}) {
-    const comments = await this.adapter.getComments(postId, { sort, limit, offset });
+  _assertParent(parent, postId) {
+    if (!parent) {
+      throw new CommentError('Parent comment not found', 'PARENT_NOT_FOUND');
+    }
+    
+    if (parent.postId !== postId) {
+      throw new CommentError('Parent comment belongs to different post', 'INVALID_PARENT');
+    }
+    
+    if (parent.isDeleted) {
+      throw new CommentError('Cannot reply to a deleted comment', 'PARENT_DELETED');
+    }
     
-    // Sort comments
-    const sorted = sortComments(comments, sort);
+    if (parent.isRemoved) {
+      throw new CommentError('Cannot reply to a removed comment', 'PARENT_REMOVED');
+    }
     
-    // Build tree
-    return buildTree(sorted);
+    return parent;
   }
 
   /**
-   * Get a single comment
-   * 
-   * @param {string} id - Comment ID
-   * @returns {Promise<Object>} Comment
+   * Page through a post's stored comments, one batch at a time
+   * @private
    */
-  async getComment(id) {
-    const comment = await this.adapter.getComment(id);
+  async *_pageComments(postId, sort = 'old', batchSize = FETCH_BATCH_SIZE, adapter = this.adapter) {
+    let offset = 0;
     
-    if (!comment) {
-      throw new CommentError('Comment not found', 'NOT_FOUND');
+    while (true) {
+      const batch = await adapter.getComments(postId, { sort, limit: batchSize, offset });
+      
+      if (batch.length > 0) yield batch;
+      
+      if (batch.length < batchSize) break;
+      offset += batch.length;
     }
+  }
+
+  /**
+   * Page through a comment's direct replies, one batch at a time
+   * @private
+   */
+  async *_pageReplies(commentId, sort, batchSize) {
+    let offset = 0;
+    let firstId = null;
     
-    return comment;
+    while (true) {
+      const batch = await this.adapter.getReplies(commentId, { sort, limit: batchSize, offset });
+      
+      // An adapter ignoring offset would hand back the first page forever
+      if (offset > 0 && batch.length > 0 && batch[0].id === firstId) {
+        throw new Error('Adapter getReplies does not support offset');
+      }
+      firstId = offset === 0 && batch.length > 0 ? batch[0].id : firstId;
+      
+      if (batch.length > 0) yield batch;
+      
+      if (batch.length < batchSize) break;
+      offset += batch.length;
+    }
   }
 
   /**
-   * Delete a comment
-   * Preserves thread structure by replacing content with [deleted]
-   * 
-   * @param {string} commentId - Comment ID
-   * @param {string} agentId - Agent requesting deletion
-   * @returns {Promise<void>}
+   * Read every comment by an agent from the adapter in batches, deleted ones included
+   * @private
    */
-  async delete(commentId, agentId) {
-    const comment = await this.adapter.getComment(commentId);
+  async _getAllByAuthor(agentId, adapter = this.adapter) {
+    const comments = [];
+    let offset = 0;
     
-    if (!comment) {
-      throw new CommentError('Comment not found', 'NOT_FOUND');
+    while (true) {
+      const batch = await adapter.getCommentsByAuthor(agentId, {
+        sort: 'old',
+        limit: FETCH_BATCH_SIZE,
+        offset,
+        includeDeleted: true
+      });
+      
+      comments.push(...batch);
+      
+      if (batch.length < FETCH_BATCH_SIZE) break;
+      offset += batch.length;
     }
     
-    const authorId = comment.authorId || comment.author_id;
+    return comments;
+  }
+
+  /**
+   * Read every comment of a post from the adapter in batches
+   * @private
+   */
+  async _getAllComments(postId, adapter = this.adapter) {
+    const comments = [];
     
-    if (authorId !== agentId) {
-      throw new CommentError('Cannot delete another agent\'s comment', 'FORBIDDEN');
+    for await (const batch of this._pageComments(postId, 'old', FETCH_BATCH_SIZE, adapter)) {
+      comments.push(...batch);
     }
     
-    await this.adapter.deleteComment(commentId);
+    return comments;
   }
 
   /**
-   * Get direct replies to a comment
+   * Iterate over a post's comments in bounded batches
+   * Memory use stays constant however large the post is.
+   * 
+   * @param {string} postId - Post ID
+   * @param {Object} options - Query options
+   * @param {string} options.sort - Sort method (default old)
+   * @param {number} options.batchSize - Comments read from the adapter at a time
+   * @returns {AsyncGenerator<Object>} Comments, without replies
+   */
+  async *iterateComments(postId, { sort = 'old', batchSize = FETCH_BATCH_SIZE } = {}) {
+    for await (const batch of this._pageComments(postId, sort, batchSize)) {
+      yield* await this._withReactions(batch.map(comment => this._present(comment)));
+    }
+  }
+
+  /**
+   * Iterate over a post's top-level comments, pinned ones first
+   * @private
+   */
+  async *_iterateRoots(postId, sort, batchSize) {
+    for (const pinned of [true, false]) {
+      for await (const batch of this._pageComments(postId, sort, batchSize)) {
+        const roots = batch.filter(comment => !comment.parentId && Boolean(comment.isPinned) === pinned);
+        yield* await this._withReactions(roots.map(comment => this._present(comment)));
+      }
+    }
+  }
+
+  /**
+   * Iterate over a comment's direct replies
+   * @private
+   */
+  async *_iterateReplies(commentId, sort, batchSize) {
+    for await (const batch of this._pageReplies(commentId, sort, batchSize)) {
+      yield* await this._withReactions(batch.map(comment => this._present(comment)));
+    }
+  }
+
+  /**
+   * Iterate over a post's thread in depth-first or breadth-first order
+   * Each level is sorted as in getThread. With the adapter's getReplies,
+   * depth-first traversal holds one batch per level in memory and
+   * breadth-first holds the IDs of one level; without it the whole thread
+   * is built in memory first.
+   * 
+   * @param {string} postId - Post ID
+   * @param {Object} options - Query options
+   * @param {string} options.order - dfs (default) or bfs
+   * @param {string} options.sort - Sort method (default top)
+   * @param {number} options.batchSize - Comments read from the adapter at a time
+   * @returns {AsyncGenerator<Object>} Comments, without replies
+   */
+  async *iterateThread(postId, { order = 'dfs', sort = 'top', batchSize = FETCH_BATCH_SIZE } = {}) {
+    if (order !== 'dfs' && order !== 'bfs') {
+      throw new CommentError('Traversal order must be dfs or bfs', 'INVALID_ORDER');
+    }
+    
+    if (typeof this.adapter.getReplies !== 'function') {
+      yield* this._walkTree(await this._buildThread(postId, sort, false), order);
+      return;
+    }
+    
+    const roots = this._iterateRoots(postId, sort, batchSize);
+    
+    if (order === 'dfs') {
+      const stack = [roots];
+      
+      while (stack.length > 0) {
+        const { value, done } = await stack[stack.length - 1].next();
+        
+        if (done) {
+          stack.pop();
+          continue;
+        }
+        
+        yield value;
+        stack.push(this._iterateReplies(value.id, sort, batchSize));
+      }
+      return;
+    }
+    
+    let level = [];
+    
+    for await (const root of roots) {
+      yield root;
+      level.push(root.id);
+    }
+    
+    while (level.length > 0) {
+      const next = [];
+      
+      for (const parentId of level) {
+        for await (const reply of this._iterateReplies(parentId, sort, batchSize)) {
+          yield reply;
+          next.push(reply.id);
+        }
+      }
+      
+      level = next;
+    }
+  }
+
+  /**
+   * Walk an in-memory tree, yielding comments without their replies
+   * @private
+   */
+  *_walkTree(tree, order) {
+    if (order === 'dfs') {
+      yield* flattenTree(tree);
+      return;
+    }
+    
+    let level = tree;
+    
+    while (level.length > 0) {
+      for (const { replies, ...comment } of level) {
+        yield comment;
+      }
+      level = level.flatMap(node => node.replies || []);
+    }
+  }
+
+  /**
+   * Build the full sorted tree of a post
+   * With stored set, removed comments keep their content.
+   * @private
+   */
+  async _buildThread(postId, sort, prune = this.options.pruneDeleted, { stored = false } = {}) {
+    const comments = await this._withReactions(
+      (await this._getAllComments(postId)).map(comment => (stored ? comment : this._present(comment)))
+    );
+    
+    // Sorting before building keeps every level of the tree in order; counts
+    // are taken before pruning, so deleted replies still count
+    const tree = fillReplyCounts(buildTree(sortComments(comments, sort)));
+    const roots = prune ? pruneDeleted(tree) : tree;
+    
+    // Pinned top-level comments lead regardless of sort
+    return [
+      ...roots.filter(root => root.isPinned),
+      ...roots.filter(root => !root.isPinned)
+    ];
+  }
+
+  /**
+   * Decode a pagination cursor
+   * @private
+   */
+  _decodeCursor(cursor) {
+    const state = decodeCursor(cursor);
+    
+    if (!state || !Number.isInteger(state.offset) || state.offset < 0) {
+      throw new CommentError('Invalid pagination cursor', 'INVALID_CURSOR');
+    }
+    
+    return state;
+  }
+
+  /**
+   * Resolve the sort and pruning a page is read with
+   * Cursors carry the view they were issued for, so callers need not repeat
+   * it; asking for a different one would skip or repeat comments and is
+   * rejected.
+   * @private
+   */
+  _resolveView(state, { sort, pruneDeleted }, defaultSort) {
+    const view = {
+      sort: state.sort ?? sort ?? defaultSort,
+      pruneDeleted: Boolean(state.pruneDeleted ?? pruneDeleted ?? this.options.pruneDeleted)
+    };
+    
+    if ((sort !== undefined && sort !== view.sort)
+      || (pruneDeleted !== undefined && Boolean(pruneDeleted) !== view.pruneDeleted)) {
+      throw new CommentError('Cursor was issued for a different sort or pruneDeleted', 'INVALID_CURSOR');
+    }
+    
+    return view;
+  }
+
+  /**
+   * Get a page of a post's thread
+   * Pages over top-level comments; each one is returned with its whole subtree.
+   * Every page reads and builds the post's whole thread, then slices out its
+   * roots, so a page costs as much as getThread. The cursor carries the sort
+   * and pruneDeleted it was issued with.
+   * 
+   * @param {string} postId - Post ID
+   * @param {Object} options - Query options
+   * @param {string} options.sort - Sort method (top, new, old, controversial, best, hot)
+   * @param {number} options.limit - Max top-level comments per page
+   * @param {string} options.cursor - Cursor from a previous page; a different sort or pruneDeleted is rejected
+   * @param {number} options.offset - Top-level offset, used when no cursor is given
+   * @param {number} options.maxReplies - Max replies per comment before a 'more' stub
+   * @param {number} options.maxDepth - Max reply levels before a 'more' stub
+   * @param {boolean} options.pruneDeleted - Leave deleted comments without replies out
+   * @returns {Promise<Object>} Page ({ comments, nextCursor })
+   */
+  async getThreadPage(postId, {
+    sort,
+    limit = 100,
+    cursor,
+    offset = 0,
+    maxReplies,
+    maxDepth,
+    pruneDeleted
+  } = {}) {
+    // A zero limit would hand back a cursor to the same offset forever
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new CommentError('limit must be a positive integer', 'INVALID_LIMIT');
+    }
+    
+    if (!cursor && (!Number.isInteger(offset) || offset < 0)) {
+      throw new CommentError('offset must be a non-negative integer', 'INVALID_OFFSET');
+    }
+    
+    const state = cursor ? this._decodeCursor(cursor) : { offset };
+    const view = this._resolveView(state, { sort, pruneDeleted }, 'top');
+    const start = state.offset;
+    
+    const roots = await this._buildThread(postId, view.sort, view.pruneDeleted);
+    const page = roots.slice(start, start + limit);
+    const end = start + page.length;
+    
+    return {
+      comments: truncateTree(page, { maxReplies, maxDepth, view }),
+      nextCursor: end < roots.length ? encodeCursor({ ...view, offset: end }) : null
+    };
+  }
+
+  /**
+   * Get comment thread for a post
+   * 
+   * @param {string} postId - Post ID
+   * @param {Object} options - Query options
+   * @param {string} options.sort - Sort method (top, new, old, controversial, best, hot)
+   * @param {number} options.limit - Max top-level comments
+   * @param {string} options.cursor - Cursor from getThreadPage
+   * @param {number} options.offset - Top-level offset for pagination
+   * @returns {Promise<Array>} Nested comment tree
+   */
+  async getThread(postId, options = {}) {
+    const { comments } = await this.getThreadPage(postId, options);
+    return comments;
+  }
+
+  /**
+   * Get the replies below a comment as a tree
+   * Resumes from a 'more' stub emitted by getThread when given its cursor.
+   * 
+   * @param {string} commentId - Comment ID (the stub's parentId)
+   * @param {Object} options - Query options
+   * @param {string} options.cursor - Cursor from a 'more' stub; carries the stub's sort and pruneDeleted
+   * @param {string} options.sort - Sort method (top, new, old, controversial, best, hot)
+   * @param {number} options.maxReplies - Max replies per comment before a 'more' stub
+   * @param {number} options.maxDepth - Max reply levels before a 'more' stub
+   * @param {boolean} options.pruneDeleted - Leave deleted comments without replies out
+   * @returns {Promise<Array>} Nested replies, possibly ending in a 'more' stub
+   */
+  async getSubtree(commentId, { cursor, sort, maxReplies, maxDepth, pruneDeleted } = {}) {
+    const state = cursor ? this._decodeCursor(cursor) : { offset: 0 };
+    const view = this._resolveView(state, { sort, pruneDeleted }, 'top');
+    const offset = state.offset;
+    
+    const comment = await this.adapter.getComment(commentId);
+    
+    if (!comment) {
+      throw new CommentError('Comment not found', 'NOT_FOUND');
+    }
+    
+    const node = this._findNode(await this._buildThread(comment.postId, view.sort, view.pruneDeleted), commentId);
+    const replies = node ? node.replies.slice(offset) : [];
+    
+    return truncateTree(replies, { maxReplies, maxDepth, view }, { id: commentId, offset });
+  }
+
+  /**
+   * Export a post's whole thread
+   * 
+   * @param {string} postId - Post ID
+   * @param {Object} options - Export options
+   * @param {string} options.format - json (default), markdown or activitystreams
+   * @param {string} options.sort - Sort method (default old)
+   * @param {boolean} options.pruneDeleted - Leave deleted comments without replies out
+   * @param {string} options.baseUrl - ActivityStreams: base for comment, agent and post URIs
+   * @returns {Promise<Object|string>} JSON object, Markdown string or ActivityStreams collection
+   */
+  async exportThread(postId, { format = 'json', sort = 'old', pruneDeleted, baseUrl } = {}) {
+    // Fail on a bad format before reading the whole post
+    assertFormat(format);
+    
+    // The JSON format is for importing back, so removed comments keep their
+    // content there and come back intact when restored
+    const tree = await this._buildThread(postId, sort, pruneDeleted, { stored: format === 'json' });
+    
+    return serializeThread(postId, tree, { format, baseUrl });
+  }
+
+  /**
+   * Rebuild a thread from a JSON export
+   * Comments are saved parents first with new IDs, keeping their parent
+   * relationships, timestamps, tallies, state and flags. Moderation, rate
+   * limits and hooks do not apply. The saves run in one transaction when the
+   * adapter supports them, so a failed import writes nothing.
+   * 
+   * @param {Object|string} data - JSON export from exportThread
+   * @param {Object} options - Import options
+   * @param {string} options.postId - Post to import into (default: the exported post)
+   * @returns {Promise<Object>} { postId, count, ids } where ids maps exported to new IDs
+   */
+  async importThread(data, { postId } = {}) {
+    const parsed = parseThreadExport(data);
+    const targetPostId = postId || parsed.postId;
+    
+    if (!targetPostId) {
+      throw new CommentError('Post ID is required', 'MISSING_POST');
+    }
+    
+    const ids = {};
+    const depths = new Map();
+    
+    await this._transaction(async adapter => {
+      for (const entry of parsed.comments) {
+        const parentId = entry.parentId === null || entry.parentId === undefined ? null : ids[entry.parentId];
+        const depth = parentId ? depths.get(parentId) + 1 : 0;
+        
+        const saved = await adapter.saveComment({
+          postId: targetPostId,
+          authorId: entry.authorId ?? null,
+          content: entry.content,
+          parentId,
+          depth,
+          score: entry.score ?? 0,
+          upvotes: entry.upvotes ?? 0,
+          downvotes: entry.downvotes ?? 0,
+          status: entry.status || 'published',
+          flags: Array.isArray(entry.flags) ? entry.flags : [],
+          isDeleted: Boolean(entry.isDeleted),
+          isRemoved: Boolean(entry.isRemoved),
+          isLocked: Boolean(entry.isLocked),
+          isPinned: Boolean(entry.isPinned),
+          createdAt: entry.createdAt ? new Date(entry.createdAt) : new Date(),
+          editedAt: entry.editedAt ? new Date(entry.editedAt) : null
+        });
+        
+        ids[entry.id] = saved.id;
+        depths.set(saved.id, depth);
+      }
+    });
+    
+    const count = parsed.comments.length;
+    
+    await this._broadcast('thread:imported', { postId: targetPostId, count });
+    
+    return { postId: targetPostId, count, ids };
+  }
+
+  /**
+   * Find a comment's node in a tree
+   * @private
+   */
+  _findNode(roots, commentId) {
+    const pending = [...roots];
+    
+    while (pending.length > 0) {
+      const current = pending.pop();
+      
+      if (current.id === commentId) {
+        return current;
+      }
+      pending.push(...(current.replies || []));
+    }
+    
+    return null;
+  }
+
+  /**
+   * Load a comment with its descendants down to a depth, one level past
+   * it so truncateTree can leave 'more' stubs where replies continue
+   * @private
+   */
+  async _loadDescendants(comment, depth, sort) {
+    if (typeof this.adapter.getReplies !== 'function') {
+      const tree = await this._buildThread(comment.postId, sort, false);
+      return this._findNode(tree, comment.id);
+    }
+    
+    const loaded = [comment];
+    let level = [comment.id];
+    
+    for (let i = 0; i <= depth && level.length > 0; i++) {
+      const next = [];
+      
+      for (const parentId of level) {
+        for await (const batch of this._pageReplies(parentId, sort, FETCH_BATCH_SIZE)) {
+          loaded.push(...batch);
+          next.push(...batch.map(reply => reply.id));
+        }
+      }
+      
+      level = next;
+    }
+    
+    // Replies come sorted per parent, and buildTree keeps that order
+    const presented = await this._withReactions(loaded.map(c => this._present(c)));
+    return buildTree(presented)[0];
+  }
+
+  /**
+   * Get a comment in context: its ancestors and a window of its replies
+   * Returns a single-branch tree from the highest ancestor included down to
+   * the comment, with the comment's replies below it.
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {Object} options - Query options
+   * @param {number} options.ancestors - Max ancestors to include (default: all, up to 100)
+   * @param {number} options.descendantsDepth - Reply levels to include (default 2)
+   * @param {string} options.sort - Sort method for replies (default top)
+   * @param {number} options.maxReplies - Max replies per comment before a 'more' stub
+   * @returns {Promise<Object>} { comments, hasMoreAncestors }
+   */
+  async getContext(commentId, {
+    ancestors = MAX_ANCESTORS,
+    descendantsDepth = 2,
+    sort = 'top',
+    maxReplies
+  } = {}) {
+    const comment = await this.adapter.getComment(commentId);
+    
+    if (!comment) {
+      throw new CommentError('Comment not found', 'NOT_FOUND');
+    }
+    
+    const limit = Math.max(0, Math.min(ancestors, MAX_ANCESTORS));
+    const chain = limit > 0 ? await this._getAncestors(comment, limit) : [];
+    
+    const target = await this._loadDescendants(comment, descendantsDepth, sort);
+    let [node] = truncateTree([target], { maxReplies, maxDepth: descendantsDepth, view: { sort, pruneDeleted: false } });
+    
+    for (const ancestor of await this._withReactions(chain.map(c => this._present(c)))) {
+      node = { ...ancestor, replies: [node] };
+    }
+    
+    const top = chain.length > 0 ? chain[chain.length - 1] : comment;
+    
+    return {
+      comments: [node],
+      hasMoreAncestors: Boolean(top.parentId)
+    };
+  }
+
+  /**
+   * Get a single comment
+   * 
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object>} Comment
+   */
+  async getComment(id) {
+    const comment = await this.adapter.getComment(id);
+    
+    if (!comment) {
+      throw new CommentError('Comment not found', 'NOT_FOUND');
+    }
+    
+    const [presented] = await this._withReactions([this._present(comment)]);
+    return presented;
+  }
+
+  /**
+   * Delete a comment
+   * Preserves thread structure by replacing content with [deleted]
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} agentId - Agent requesting deletion
+   * @returns {Promise<void>}
+   */
+  async delete(commentId, agentId) {
+    const current = this._assertDeletable(await this.adapter.getComment(commentId), agentId);
+    
+    // Hooks may be slow or call out, so they run before any row is locked
+    await this._runHooks('beforeDelete', { comment: current, agentId });
+    
+    const deleted = await this._transaction(async adapter => {
+      const comment = this._assertDeletable(await adapter.getComment(commentId), agentId);
+      
+      await adapter.deleteComment(commentId);
+      
+      return (await adapter.getComment(commentId)) || comment;
+    });
+    
+    await this._broadcast('comment:deleted', { comment: this._present(deleted), agentId }, [commentId]);
+  }
+
+  /**
+   * Throw unless an agent can delete a comment
+   * @private
+   */
+  _assertDeletable(comment, agentId) {
+    if (!comment) {
+      throw new CommentError('Comment not found', 'NOT_FOUND');
+    }
+    
+    if (comment.authorId !== agentId) {
+      throw new CommentError('Cannot delete another agent\'s comment', 'FORBIDDEN');
+    }
+    
+    return comment;
+  }
+
+  /**
+   * Edit a comment's content
+   * The previous content is kept as a revision when the adapter supports it
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} agentId - Agent requesting the edit
+   * @param {string} content - New content
+   * @returns {Promise<Object>} Updated comment
+   */
+  async edit(commentId, agentId, content) {
+    if (typeof this.adapter.updateComment !== 'function') {
+      throw new Error('Adapter does not support updateComment');
+    }
+    
+    const current = this._assertEditable(await this.adapter.getComment(commentId), agentId);
+    
+    // Validators and hooks may be slow or call out, so they run before any row
+    // is locked; a comment's post, parent and author never change, so the
+    // context holds
+    const moderated = await this._moderateContent(content, {
+      action: 'edit',
+      postId: current.postId,
+      authorId: current.authorId,
+      parentId: current.parentId,
+      commentId
+    });
+    
+    const changes = {
+      content: moderated.content,
+      editedAt: new Date()
+    };
+    
+    // A flagged edit sends the comment back to review
+    if (moderated.flags.length > 0) {
+      changes.status = 'pending';
+      changes.flags = moderated.flags;
+    }
+    
+    // Adapters may hand out live objects, so hooks get a copy
+    await this._runHooks('beforeEdit', { comment: { ...current }, changes, agentId });
+    
+    const { previous, updated } = await this._transaction(async adapter => {
+      // Keep a copy of the pre-edit state as it is when the edit lands
+      const previous = { ...this._assertEditable(await adapter.getComment(commentId), agentId) };
+      
+      if (typeof adapter.saveRevision === 'function') {
+        await adapter.saveRevision(commentId, {
+          content: previous.content,
+          createdAt: previous.editedAt || previous.createdAt
+        });
+      }
+      
+      return { previous, updated: await adapter.updateComment(commentId, changes) };
+    });
+    
+    const edited = this._present(updated);
+    
+    await this._broadcast('comment:edited', { comment: edited, previous, agentId });
+    
+    return edited;
+  }
+
+  /**
+   * Throw unless an agent can edit a comment
+   * @private
+   */
+  _assertEditable(comment, agentId) {
+    if (!comment) {
+      throw new CommentError('Comment not found', 'NOT_FOUND');
+    }
+    
+    if (comment.isDeleted) {
+      throw new CommentError('Cannot edit a deleted comment', 'COMMENT_DELETED');
+    }
+    
+    if (comment.isRemoved) {
+      throw new CommentError('Cannot edit a removed comment', 'COMMENT_REMOVED');
+    }
+    
+    if (comment.authorId !== agentId) {
+      throw new CommentError('Cannot edit another agent\'s comment', 'FORBIDDEN');
+    }
+    
+    return comment;
+  }
+
+  /**
+   * Permanently delete a comment
+   * Comments with replies can only be purged together with their subtree.
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {Object} options - Purge options
+   * @param {boolean} options.cascade - Also purge every reply below the comment
+   * @returns {Promise<number>} Number of comments purged
+   */
+  async purgeComment(commentId, { cascade = false } = {}) {
+    if (typeof this.adapter.purgeComment !== 'function') {
+      throw new Error('Adapter does not support purgeComment');
+    }
+    
+    // Collecting and purging the subtree together keeps a concurrent reply from being orphaned
+    const { comment, ids } = await this._transaction(async adapter => {
+      const comment = await adapter.getComment(commentId);
+      
+      if (!comment) {
+        throw new CommentError('Comment not found', 'NOT_FOUND');
+      }
+      
+      const all = await this._getAllComments(comment.postId, adapter);
+      const children = new Map();
+      
+      for (const c of all) {
+        const parentId = c.parentId;
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(c.id);
+      }
+      
+      if (children.has(commentId) && !cascade) {
+        throw new CommentError('Comment has replies; purge with cascade to remove them', 'HAS_REPLIES');
+      }
+      
+      // Collect the subtree, then purge it leaves first
+      const ids = [commentId];
+      for (let i = 0; i < ids.length; i++) {
+        ids.push(...(children.get(ids[i]) || []));
+      }
+      
+      for (const id of Array.from(ids).reverse()) {
+        await adapter.purgeComment(id);
+      }
+      
+      return { comment, ids };
+    });
+    
+    await this._broadcast('comment:purged', { comment: this._present(comment), agentId: null, count: ids.length }, ids);
+    
+    return ids.length;
+  }
+
+  /**
+   * Erase an agent's data across all posts
+   * 
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Purge options
+   * @param {string} options.mode - anonymize (keep comments as [deleted]) or remove
+   * @returns {Promise<Object>} Counts ({ removed, anonymized })
+   */
+  async purgeAgent(agentId, { mode = 'anonymize' } = {}) {
+    if (typeof this.adapter.purgeAgent !== 'function') {
+      throw new Error('Adapter does not support purgeAgent');
+    }
+    
+    if (!agentId) {
+      throw new CommentError('Agent ID is required', 'MISSING_AGENT');
+    }
+    
+    if (mode !== 'anonymize' && mode !== 'remove') {
+      throw new CommentError('Purge mode must be anonymize or remove', 'INVALID_MODE');
+    }
+    
+    // Feeds are told per post, so the agent's comments are listed before they go
+    if (this._feed && typeof this.adapter.getCommentsByAuthor !== 'function') {
+      throw new Error('Adapter does not support getCommentsByAuthor, which purgeAgent needs with a feed');
+    }
+    
+    const { result, purged } = await this._transaction(async adapter => {
+      const own = this._feed ? await this._getAllByAuthor(agentId, adapter) : [];
+      const result = await adapter.purgeAgent(agentId, { mode });
+      
+      // Comments other replies still hang from are anonymised rather than removed
+      const purged = [];
+      for (const comment of own) {
+        purged.push({ before: comment, after: await adapter.getComment(comment.id) });
+      }
+      
+      return { result, purged };
+    });
+    
+    this.emit('agent:purged', { agentId, ...result });
+    
+    // No agentId, so the feed does not tie the erased agent to these comments
+    for (const { before, after } of purged) {
+      if (after) {
+        await this._publish('comment:deleted', { comment: this._present(after), agentId: null }, [before.id]);
+      } else {
+        await this._publish('comment:purged', { comment: before, agentId: null, count: 1 }, [before.id]);
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Permanently delete every comment of a post
+   * 
+   * @param {string} postId - Post ID
+   * @returns {Promise<number>} Number of comments deleted
+   */
+  async deletePost(postId) {
+    if (typeof this.adapter.deletePost !== 'function' && typeof this.adapter.purgeComment !== 'function') {
+      throw new Error('Adapter does not support deletePost');
+    }
+    
+    const count = await this._transaction(async adapter => {
+      if (typeof adapter.deletePost === 'function') {
+        return adapter.deletePost(postId);
+      }
+      
+      const all = await this._getAllComments(postId, adapter);
+      
+      // Deepest first so no comment outlives its parent
+      all.sort((a, b) => (b.depth ?? 0) - (a.depth ?? 0));
+      for (const comment of all) {
+        await adapter.purgeComment(comment.id);
+      }
+      return all.length;
+    });
+    
+    await this._broadcast('post:deleted', { postId, count }, true);
+    
+    return count;
+  }
+
+  /**
+   * Get previous revisions of a comment, oldest first
+   * 
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<Array>} Revisions ({ content, createdAt })
+   */
+  async getRevisions(commentId) {
+    if (typeof this.adapter.getRevisions !== 'function') {
+      throw new Error('Adapter does not support getRevisions');
+    }
+    
+    const comment = await this.adapter.getComment(commentId);
+    
+    if (!comment) {
+      throw new CommentError('Comment not found', 'NOT_FOUND');
+    }
+    
+    return this.adapter.getRevisions(commentId);
+  }
+
+  /**
+   * Apply a moderator action to a comment
+   * @private
+   */
+  async _applyModeration(commentId, moderatorId, event, changes, check) {
+    if (typeof this.adapter.updateComment !== 'function') {
+      throw new Error('Adapter does not support updateComment');
+    }
+    
+    const current = await this.adapter.getComment(commentId);
+    
+    if (!current) {
+      throw new CommentError('Comment not found', 'NOT_FOUND');
+    }
+    
+    // canModerate may call out, so it runs before any row is locked; a
+    // comment never moves to another post, so the answer holds
+    await this._assertModerator(moderatorId, current.postId);
+    
+    const updated = await this._transaction(async adapter => {
+      const comment = await adapter.getComment(commentId);
+      
+      if (!comment) {
+        throw new CommentError('Comment not found', 'NOT_FOUND');
+      }
+      
+      if (check) {
+        check(comment);
+      }
+      
+      return adapter.updateComment(commentId, changes);
+    });
+    
+    const erased = event === 'comment:removed' ? [commentId] : undefined;
+    await this._broadcast(event, { comment: this._present(updated), agentId: moderatorId }, erased);
+    
+    return this._present(updated);
+  }
+
+  /**
+   * Remove a comment as a moderator
+   * Unlike delete(), the content is hidden rather than erased, so it can be restored.
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} moderatorId - Moderator agent ID
+   * @param {string} reason - Reason shown to the author
+   * @returns {Promise<Object>} Removed comment
+   */
+  async remove(commentId, moderatorId, reason = null) {
+    return this._applyModeration(commentId, moderatorId, 'comment:removed', {
+      isRemoved: true,
+      removedBy: moderatorId,
+      removalReason: reason,
+      removedAt: new Date()
+    });
+  }
+
+  /**
+   * Restore a comment removed by a moderator
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} moderatorId - Moderator agent ID
+   * @returns {Promise<Object>} Restored comment
+   */
+  async restore(commentId, moderatorId) {
+    return this._applyModeration(commentId, moderatorId, 'comment:restored', {
+      isRemoved: false,
+      removedBy: null,
+      removalReason: null,
+      removedAt: null
+    });
+  }
+
+  /**
+   * Publish a comment held for review by the moderation pipeline
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} moderatorId - Moderator agent ID
+   * @returns {Promise<Object>} Approved comment
+   */
+  async approve(commentId, moderatorId) {
+    let wasPending = false;
+    
+    const approved = await this._applyModeration(commentId, moderatorId, 'comment:approved', {
+      status: 'published',
+      flags: []
+    }, comment => {
+      wasPending = comment.status === 'pending';
+    });
+    
+    // Held comments notify nobody until they are published
+    if (wasPending) {
+      const parent = approved.parentId ? await this.adapter.getComment(approved.parentId) : null;
+      await this._notify(approved, parent);
+    }
+    
+    return approved;
+  }
+
+  /**
+   * Lock a comment, blocking new replies anywhere in its subtree
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} moderatorId - Moderator agent ID
+   * @returns {Promise<Object>} Locked comment
+   */
+  async lock(commentId, moderatorId) {
+    return this._applyModeration(commentId, moderatorId, 'comment:locked', { isLocked: true });
+  }
+
+  /**
+   * Unlock a locked comment
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} moderatorId - Moderator agent ID
+   * @returns {Promise<Object>} Unlocked comment
+   */
+  async unlock(commentId, moderatorId) {
+    return this._applyModeration(commentId, moderatorId, 'comment:unlocked', { isLocked: false });
+  }
+
+  /**
+   * Pin a top-level comment to the top of its thread
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} moderatorId - Moderator agent ID
+   * @returns {Promise<Object>} Pinned comment
+   */
+  async pin(commentId, moderatorId) {
+    return this._applyModeration(commentId, moderatorId, 'comment:pinned', { isPinned: true }, comment => {
+      if (comment.parentId) {
+        throw new CommentError('Only top-level comments can be pinned', 'NOT_TOP_LEVEL');
+      }
+    });
+  }
+
+  /**
+   * Unpin a pinned comment
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} moderatorId - Moderator agent ID
+   * @returns {Promise<Object>} Unpinned comment
+   */
+  async unpin(commentId, moderatorId) {
+    return this._applyModeration(commentId, moderatorId, 'comment:unpinned', { isPinned: false });
+  }
+
+  /**
+   * Get direct replies to a comment
    * 
    * @param {string} commentId - Parent comment ID
    * @param {Object} options - Query options
    * @returns {Promise<Array>} Replies
    */
-  async getReplies(commentId, { sort = 'top', limit = 25 } = {}) {
+  async getReplies(commentId, { sort = 'top', limit = 25, offset = 0 } = {}) {
     if (typeof this.adapter.getReplies === 'function') {
-      return this.adapter.getReplies(commentId, { sort, limit });
+      const replies = await this.adapter.getReplies(commentId, { sort, limit, offset });
+      return this._withReactions(replies.map(reply => this._present(reply)));
     }
     
-    // Fallback: filter from all comments
+    // Fallback: scan the post in batches, keeping only the replies
     const comment = await this.adapter.getComment(commentId);
     if (!comment) {
       throw new CommentError('Comment not found', 'NOT_FOUND');
     }
     
-    const postId = comment.postId || comment.post_id;
-    const allComments = await this.adapter.getComments(postId, { limit: 1000 });
+    const replies = [];
+    
+    for await (const batch of this._pageComments(comment.postId)) {
+      replies.push(...batch.filter(c => c.parentId === commentId));
+    }
+    
+    const page = sortComments(replies, sort).slice(offset, offset + limit);
+    return this._withReactions(page.map(reply => this._present(reply)));
+  }
+
+  /**
+   * Get a page of an agent's comments
+   * 
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Query options
+   * @param {string} options.sort - Sort method (default new)
+   * @param {number} options.limit - Max comments per page
+   * @param {string} options.cursor - Cursor from a previous page
+   * @param {boolean} options.includeDeleted - Include the agent's deleted comments
+   * @returns {Promise<Object>} Page ({ comments, nextCursor })
+   */
+  async getAgentComments(agentId, { sort = 'new', limit = 25, cursor, includeDeleted = false } = {}) {
+    if (typeof this.adapter.getCommentsByAuthor !== 'function') {
+      throw new Error('Adapter does not support author queries');
+    }
+    
+    if (!agentId) {
+      throw new CommentError('Agent ID is required', 'MISSING_AGENT');
+    }
+    
+    const offset = cursor ? this._decodeCursor(cursor).offset : 0;
+    
+    // Fetch one extra to learn whether another page follows
+    const rows = await this.adapter.getCommentsByAuthor(agentId, { sort, limit: limit + 1, offset, includeDeleted });
+    const comments = await this._withReactions(rows.slice(0, limit).map(comment => this._present(comment)));
+    
+    return {
+      comments,
+      nextCursor: rows.length > limit ? encodeCursor({ offset: offset + limit }) : null
+    };
+  }
+
+  /**
+   * Get totals over an agent's comments
+   * Deleted comments are left out; replies received count other agents'
+   * replies to the agent's comments.
+   * 
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object>} { commentCount, totalScore, repliesReceived, averageDepth }
+   */
+  async getAgentStats(agentId) {
+    if (!agentId) {
+      throw new CommentError('Agent ID is required', 'MISSING_AGENT');
+    }
+    
+    if (typeof this.adapter.getAgentStats === 'function') {
+      return this.adapter.getAgentStats(agentId);
+    }
+    
+    if (typeof this.adapter.getCommentsByAuthor !== 'function') {
+      throw new Error('Adapter does not support author queries');
+    }
+    
+    // Fallback: total the agent's comments, then scan each post they commented on for replies
+    const stats = { commentCount: 0, totalScore: 0, repliesReceived: 0, averageDepth: 0 };
+    const idsByPost = new Map();
+    let totalDepth = 0;
+    let offset = 0;
+    
+    while (true) {
+      const batch = await this.adapter.getCommentsByAuthor(agentId, {
+        sort: 'old',
+        limit: FETCH_BATCH_SIZE,
+        offset,
+        includeDeleted: true
+      });
+      
+      for (const comment of batch) {
+        if (!idsByPost.has(comment.postId)) idsByPost.set(comment.postId, new Set());
+        idsByPost.get(comment.postId).add(comment.id);
+        
+        if (comment.isDeleted) continue;
+        
+        stats.commentCount++;
+        stats.totalScore += comment.score || 0;
+        totalDepth += comment.depth || 0;
+      }
+      
+      if (batch.length < FETCH_BATCH_SIZE) break;
+      offset += batch.length;
+    }
+    
+    for (const [postId, ids] of idsByPost) {
+      for await (const batch of this._pageComments(postId)) {
+        stats.repliesReceived += batch.filter(comment => (
+          ids.has(comment.parentId) && !comment.isDeleted && comment.authorId !== agentId
+        )).length;
+      }
+    }
+    
+    stats.averageDepth = stats.commentCount > 0 ? totalDepth / stats.commentCount : 0;
+    return stats;
+  }
+
+  /**
+   * Search comment content
+   * Every word must match; "quoted phrases" match consecutive words and a
+   * trailing * matches by prefix. Deleted and removed comments never match.
+   * 
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {string} options.postId - Only comments on this post
+   * @param {string} options.authorId - Only comments by this agent
+   * @param {Date|string|number} options.since - Only comments created at or after this time
+   * @param {Date|string|number} options.until - Only comments created before this time
+   * @param {string} options.sort - relevance (default) or any comment sort
+   * @param {number} options.limit - Max comments per page
+   * @param {string} options.cursor - Cursor from a previous page
+   * @returns {Promise<Object>} Page ({ comments, nextCursor })
+   */
+  async search(query, {
+    postId,
+    authorId,
+    since,
+    until,
+    sort = 'relevance',
+    limit = 25,
+    cursor
+  } = {}) {
+    if (typeof this.adapter.searchComments !== 'function') {
+      throw new Error('Adapter does not support search');
+    }
+    
+    if (parseSearchQuery(query).length === 0) {
+      throw new CommentError('Search query must contain a word', 'INVALID_QUERY');
+    }
+    
+    const offset = cursor ? this._decodeCursor(cursor).offset : 0;
     
-    const replies = allComments.filter(c => {
-      const parentId = c.parentId || c.parent_id;
-      return parentId === commentId;
+    // Fetch one extra to learn whether another page follows
+    const rows = await this.adapter.searchComments(query, {
+      postId,
+      authorId,
+      since: this._toDate(since, 'since'),
+      until: this._toDate(until, 'until'),
+      sort,
+      limit: limit + 1,
+      offset
     });
     
-    return sortComments(replies, sort).slice(0, limit);
+    const comments = await this._withReactions(rows.slice(0, limit).map(comment => this._present(comment)));
+    
+    return {
+      comments,
+      nextCursor: rows.length > limit ? encodeCursor({ offset: offset + limit }) : null
+    };
+  }
+
+  /**
+   * Parse an optional time bound
+   * @private
+   */
+  _toDate(value, name) {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    
+    const date = new Date(value);
+    
+    if (Number.isNaN(date.getTime())) {
+      throw new CommentError(`${name} must be a valid date`, 'INVALID_DATE');
+    }
+    
+    return date;
+  }
+
+  /**
+   * Get an agent's notifications, newest first
+   * 
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Query options
+   * @param {boolean} options.unreadOnly - Leave out notifications already read
+   * @param {number} options.limit - Max notifications per page
+   * @param {string} options.cursor - Cursor from a previous page
+   * @returns {Promise<Object>} Page ({ notifications, nextCursor })
+   */
+  async getNotifications(agentId, { unreadOnly = false, limit = 25, cursor } = {}) {
+    if (typeof this.adapter.getNotifications !== 'function') {
+      throw new Error('Adapter does not support notifications');
+    }
+    
+    if (!agentId) {
+      throw new CommentError('Agent ID is required', 'MISSING_AGENT');
+    }
+    
+    const offset = cursor ? this._decodeCursor(cursor).offset : 0;
+    
+    // Fetch one extra to learn whether another page follows
+    const rows = await this.adapter.getNotifications(agentId, { unreadOnly, limit: limit + 1, offset });
+    const notifications = rows.slice(0, limit);
+    
+    return {
+      notifications,
+      nextCursor: rows.length > limit ? encodeCursor({ offset: offset + limit }) : null
+    };
+  }
+
+  /**
+   * Mark an agent's notifications read
+   * 
+   * @param {string} agentId - Agent ID
+   * @param {Array<string>} ids - Notification IDs; omit to mark all read
+   * @returns {Promise<number>} Number of notifications newly marked read
+   */
+  async markRead(agentId, ids) {
+    if (typeof this.adapter.markNotificationsRead !== 'function') {
+      throw new Error('Adapter does not support notifications');
+    }
+    
+    if (!agentId) {
+      throw new CommentError('Agent ID is required', 'MISSING_AGENT');
+    }
+    
+    return this.adapter.markNotificationsRead(agentId, ids);
   }
 
   /**
@@ -266,8 +1946,13 @@ class CommentSystem {
       return this.adapter.getCount(postId);
     }
     
-    const comments = await this.adapter.getComments(postId, { limit: 10000 });
-    return comments.length;
+    let count = 0;
+    
+    for await (const batch of this._pageComments(postId)) {
+      count += batch.length;
+    }
+    
+    return count;
   }
 
   /**
@@ -282,7 +1967,190 @@ class CommentSystem {
       throw new Error('Adapter does not support updateScore');
     }
     
-    return this.adapter.updateScore(commentId, delta);
+    const score = await this.adapter.updateScore(commentId, delta);
+    
+    const comment = await this.adapter.getComment(commentId);
+    if (comment) {
+      await this._broadcast('comment:scored', { comment: this._present(comment), agentId: null, delta });
+    }
+    
+    return score;
+  }
+
+  /**
+   * Cast, change or clear an agent's vote on a comment
+   * Each agent holds at most one vote per comment; voting the other
+   * direction flips it and 'clear' removes it.
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} agentId - Voting agent ID
+   * @param {string} direction - Vote direction (up, down, clear)
+   * @returns {Promise<Object>} Updated tallies ({ score, upvotes, downvotes, vote })
+   */
+  async vote(commentId, agentId, direction) {
+    if (typeof this.adapter.getVote !== 'function' || typeof this.adapter.saveVote !== 'function') {
+      throw new Error('Adapter does not support voting');
+    }
+    
+    if (!agentId) {
+      throw new CommentError('Agent ID is required', 'MISSING_AGENT');
+    }
+    
+    if (!Object.prototype.hasOwnProperty.call(VOTE_VALUES, direction)) {
+      throw new CommentError('Vote direction must be up, down or clear', 'INVALID_VOTE');
+    }
+    
+    const value = VOTE_VALUES[direction];
+    
+    // Reading the previous vote and saving the new one must not interleave with another vote by the agent
+    const current = await this.adapter.getComment(commentId);
+    
+    if (!current) {
+      throw new CommentError('Comment not found', 'NOT_FOUND');
+    }
+    
+    // Hooks may be slow or call out, so they run before any row is locked
+    await this._runHooks('beforeVote', { comment: current, agentId, direction });
+    
+    const { tallies, scored } = await this._transaction(async adapter => {
+      const comment = await adapter.getComment(commentId);
+      
+      if (!comment) {
+        throw new CommentError('Comment not found', 'NOT_FOUND');
+      }
+      
+      const previous = (await adapter.getVote(commentId, agentId)) ?? 0;
+      
+      if (previous === value) {
+        return {
+          tallies: {
+            score: comment.score ?? 0,
+            upvotes: comment.upvotes ?? 0,
+            downvotes: comment.downvotes ?? 0
+          },
+          scored: null
+        };
+      }
+      
+      const tallies = await adapter.saveVote(commentId, agentId, value, {
+        score: value - previous,
+        upvotes: (value === 1 ? 1 : 0) - (previous === 1 ? 1 : 0),
+        downvotes: (value === -1 ? 1 : 0) - (previous === -1 ? 1 : 0)
+      });
+      
+      return { tallies, scored: (await adapter.getComment(commentId)) || { ...comment, ...tallies } };
+    });
+    
+    if (scored) {
+      await this._broadcast('comment:scored', { comment: this._present(scored), agentId, vote: value });
+    }
+    
+    return { ...tallies, vote: value };
+  }
+
+  /**
+   * Add or remove an agent's reaction
+   * @private
+   */
+  async _changeReaction(commentId, agentId, reaction, add) {
+    if (
+      typeof this.adapter.saveReaction !== 'function' ||
+      typeof this.adapter.deleteReaction !== 'function' ||
+      typeof this.adapter.getReactionCounts !== 'function'
+    ) {
+      throw new Error('Adapter does not support reactions');
+    }
+    
+    if (!agentId) {
+      throw new CommentError('Agent ID is required', 'MISSING_AGENT');
+    }
+    
+    if (typeof reaction !== 'string' || reaction.length === 0) {
+      throw new CommentError('Reaction is required', 'INVALID_REACTION');
+    }
+    
+    // Reactions dropped from the allowed set can still be taken back
+    if (add) {
+      const allowed = this.options.allowedReactions;
+      
+      if (allowed ? !allowed.includes(reaction) : reaction.length > MAX_REACTION_LENGTH) {
+        throw new CommentError(`Reaction ${reaction} is not allowed`, 'INVALID_REACTION');
+      }
+    }
+    
+    const { comment, changed } = await this._transaction(async adapter => {
+      const comment = await adapter.getComment(commentId);
+      
+      if (!comment) {
+        throw new CommentError('Comment not found', 'NOT_FOUND');
+      }
+      
+      if (add && comment.isDeleted) {
+        throw new CommentError('Cannot react to a deleted comment', 'COMMENT_DELETED');
+      }
+      
+      if (add && comment.isRemoved) {
+        throw new CommentError('Cannot react to a removed comment', 'COMMENT_REMOVED');
+      }
+      
+      const changed = add
+        ? await adapter.saveReaction(commentId, agentId, reaction)
+        : await adapter.deleteReaction(commentId, agentId, reaction);
+      
+      return { comment, changed };
+    });
+    
+    const counts = (await this.adapter.getReactionCounts([commentId]))[commentId] || {};
+    
+    if (changed) {
+      await this._broadcast(add ? 'comment:reacted' : 'comment:unreacted', {
+        comment: { ...this._present(comment), reactions: counts },
+        agentId,
+        reaction
+      });
+    }
+    
+    return counts;
+  }
+
+  /**
+   * React to a comment
+   * Reactions are separate from score; an agent may add each reaction once.
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} agentId - Reacting agent ID
+   * @param {string} reaction - Reaction, e.g. an emoji or a custom code
+   * @returns {Promise<Object>} Reaction counts of the comment ({ [reaction]: count })
+   */
+  async react(commentId, agentId, reaction) {
+    return this._changeReaction(commentId, agentId, reaction, true);
+  }
+
+  /**
+   * Take back a reaction
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} agentId - Reacting agent ID
+   * @param {string} reaction - Reaction to remove
+   * @returns {Promise<Object>} Reaction counts of the comment ({ [reaction]: count })
+   */
+  async unreact(commentId, agentId, reaction) {
+    return this._changeReaction(commentId, agentId, reaction, false);
+  }
+
+  /**
+   * Get an agent's current vote on a comment
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<number>} 1 (up), -1 (down) or 0 (none)
+   */
+  async getVote(commentId, agentId) {
+    if (typeof this.adapter.getVote !== 'function') {
+      throw new Error('Adapter does not support voting');
+    }
+    
+    return (await this.adapter.getVote(commentId, agentId)) ?? 0;
   }
 }
 
@@ -0,0 +1,302 @@
+/**
+ * Read-through caching for storage adapters
+ */
+
+const { createNormalizer, bindAdapterMethods } = require('./normalize');
+
+/**
+ * Create an in-memory LRU cache store
+ * 
+ * Shared stores (Redis, memcached) implement get, set and delete.
+ * 
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Entries kept before the least recently used is evicted (default 1000)
+ * @param {Function} options.now - Clock in milliseconds, for testing
+ * @returns {Object} Store with get(key), set(key, value, ttlMs) and delete(key)
+ */
+function createLruStore({ maxEntries = 1000, now = Date.now } = {}) {
+  // Map iteration order doubles as recency order, oldest first
+  const entries = new Map();
+  
+  return {
+    /**
+     * Get a value, or undefined when missing or expired
+     */
+    async get(key) {
+      const entry = entries.get(key);
+      
+      if (!entry) {
+        return undefined;
+      }
+      
+      entries.delete(key);
+      
+      if (entry.expiresAt <= now()) {
+        return undefined;
+      }
+      
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    /**
+     * Store a value for ttlMs milliseconds
+     */
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    /**
+     * Remove a value
+     */
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    /**
+     * Clear all values (for testing)
+     */
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+// Methods that change a single comment, taking its ID first
+const COMMENT_WRITES = ['deleteComment', 'updateScore', 'updateComment', 'saveVote', 'purgeComment'];
+
+// Methods whose effects cannot be pinned to one post
+const GLOBAL_WRITES = ['purgeAgent', 'deletePost'];
+
+/**
+ * Wrap an adapter with read-through caching
+ * 
+ * getComment, getComments, getReplies, getAncestors and getCount are cached.
+ * Writes invalidate everything cached for the comment's post; entries are
+ * tied to a per-post version, so invalidation is a single write to the
+ * store. Transactions read around the cache and
+ * invalidate once they commit. Other methods pass straight through, and methods the
+ * adapter lacks stay absent.
+ * 
+ * @param {Object} adapter - Storage adapter
+ * @param {Object} options - Cache options
+ * @param {Object} options.store - Cache store (default in-memory LRU)
+ * @param {number} options.ttl - Entry lifetime in milliseconds (default 60000)
+ * @param {string|Object} options.fieldMap - How the adapter's rows name their fields (default auto)
+ * @returns {Object} Caching adapter, plus getCacheStats() and invalidate(postId)
+ */
+function withCache(adapter, { store = createLruStore(), ttl = 60000, fieldMap = 'auto' } = {}) {
+  const inner = bindAdapterMethods(adapter);
+  const wrapped = { ...inner };
+  const normalize = createNormalizer(fieldMap);
+  const stats = { hits: 0, misses: 0 };
+  let sequence = 0;
+  
+  // Bumped around every write; a read that overlaps a write is not stored
+  let writes = 0;
+  
+  function newVersion() {
+    sequence++;
+    return `${Date.now().toString(36)}.${sequence}.${Math.random().toString(36).slice(2, 8)}`;
+  }
+  
+  // A missing version gets a fresh one, so entries from before an evicted bump never come back
+  async function version(name) {
+    const current = await store.get(`v:${name}`);
+    
+    if (current) {
+      return current;
+    }
+    
+    const created = newVersion();
+    await store.set(`v:${name}`, created, ttl * 2);
+    return created;
+  }
+  
+  async function bump(name) {
+    await store.set(`v:${name}`, newVersion(), ttl * 2);
+  }
+  
+  async function cached(key, load) {
+    const hit = await store.get(key);
+    
+    if (hit !== undefined && hit !== null) {
+      stats.hits++;
+      return hit;
+    }
+    
+    stats.misses++;
+    
+    const epoch = writes;
+    const value = await load();
+    
+    if (value !== undefined && value !== null && epoch === writes) {
+      await store.set(key, value, ttl);
+    }
+    
+    return value;
+  }
+  
+  async function commentKey(id) {
+    return `c:${await version('all')}:${id}`;
+  }
+  
+  async function postKey(postId, ...parts) {
+    return [`p:${await version('all')}`, postId, await version(`post:${postId}`), ...parts].join(':');
+  }
+  
+  // Cached comments carry their post's version, so any write to the post
+  // retires them; a reply changes counters all the way up its chain
+  async function getComment(id) {
+    const key = await commentKey(id);
+    const hit = await store.get(key);
+    
+    if (hit && hit.version === await version(`post:${hit.postId}`)) {
+      stats.hits++;
+      return hit.comment;
+    }
+    
+    stats.misses++;
+    
+    const epoch = writes;
+    const comment = await inner.getComment(id);
+    const postId = normalize(comment)?.postId;
+    
+    if (postId !== undefined) {
+      const current = await version(`post:${postId}`);
+      if (epoch === writes) await store.set(key, { comment, postId, version: current }, ttl);
+    }
+    
+    return comment;
+  }
+  
+  // Run a write, then drop what it may have made stale
+  async function write(run, invalidate) {
+    writes++;
+    
+    try {
+      return await run();
+    } finally {
+      writes++;
+      await invalidate();
+    }
+  }
+  
+  wrapped.getComment = getComment;
+  
+  wrapped.getComments = async (postId, options = {}) => (
+    cached(await postKey(postId, 'comments', JSON.stringify(options)), () => inner.getComments(postId, options))
+  );
+  
+  if (inner.getCount) {
+    wrapped.getCount = async postId => cached(await postKey(postId, 'count'), () => inner.getCount(postId));
+  }
+  
+  // Replies and ancestors are keyed under the post of the comment they start from
+  for (const name of ['getReplies', 'getAncestors']) {
+    if (!inner[name]) continue;
+    
+    wrapped[name] = async (commentId, options = {}) => {
+      const comment = normalize(await getComment(commentId));
+      
+      if (!comment) {
+        return inner[name](commentId, options);
+      }
+      
+      const key = await postKey(comment.postId, name, commentId, JSON.stringify(options));
+      return cached(key, () => inner[name](commentId, options));
+    };
+  }
+  
+  // Drop a comment and everything cached for its post
+  async function invalidateComment(id, comment) {
+    if (id) await store.delete(await commentKey(id));
+    if (comment) await bump(`post:${comment.postId}`);
+  }
+  
+  // Put invalidating versions of source's writes on target; settle(run, invalidate)
+  // decides when invalidation happens, lookup finds the comment a write touches
+  function addWrites(target, source, lookup, settle) {
+    target.saveComment = comment => settle(
+      () => source.saveComment(comment),
+      () => invalidateComment(null, comment)
+    );
+    
+    for (const name of COMMENT_WRITES) {
+      if (!source[name]) continue;
+      
+      target[name] = async (id, ...args) => {
+        const comment = normalize(await lookup(id));
+        return settle(() => source[name](id, ...args), () => invalidateComment(id, comment));
+      };
+    }
+    
+    for (const name of GLOBAL_WRITES) {
+      if (!source[name]) continue;
+      
+      target[name] = (...args) => settle(() => source[name](...args), () => bump('all'));
+    }
+  }
+  
+  addWrites(wrapped, inner, getComment, write);
+  
+  // Reads inside a transaction bypass the cache, and invalidation waits for the commit
+  if (inner.transaction) {
+    wrapped.transaction = fn => {
+      const invalidations = [];
+      
+      const defer = async (run, invalidate) => {
+        const result = await run();
+        invalidations.push(invalidate);
+        return result;
+      };
+      
+      return write(
+        () => inner.transaction(tx => {
+          const source = bindAdapterMethods(tx);
+          const scoped = { ...source, transaction: nested => nested(scoped) };
+          addWrites(scoped, source, source.getComment, defer);
+          return fn(scoped);
+        }),
+        async () => {
+          for (const invalidate of invalidations) await invalidate();
+        }
+      );
+    };
+  }
+  
+  /**
+   * Get cache hit and miss counts
+   * 
+   * @returns {Object} { hits, misses, hitRate }
+   */
+  wrapped.getCacheStats = () => ({
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: stats.hits + stats.misses > 0 ? stats.hits / (stats.hits + stats.misses) : 0
+  });
+  
+  /**
+   * Drop cached data after changing the underlying storage directly
+   * With a post ID only that post's entries are dropped; without one,
+   * everything is.
+   * 
+   * @param {string} postId - Post ID; omit to invalidate everything
+   */
+  wrapped.invalidate = async postId => {
+    writes++;
+    await bump(postId === undefined ? 'all' : `post:${postId}`);
+  };
+  
+  return wrapped;
+}
+
+module.exports = {
+  withCache,
+  createLruStore
+};
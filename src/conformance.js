@@ -0,0 +1,498 @@
+/**
+ * Adapter conformance suite
+ * Exercises the adapter contract under any test runner.
+ */
+
+const assert = require('assert');
+
+/**
+ * Register conformance tests for an adapter
+ * 
+ * Required methods are always tested; optional methods are tested when the
+ * adapter implements them.
+ * 
+ * @param {Function} createAdapter - Returns a fresh, empty adapter (may be async)
+ * @param {Object} harness - Test runner functions
+ * @param {Function} harness.test - Registers a test: test(name, asyncFn)
+ * @param {Function} harness.describe - Optional: groups tests, describe(name, fn)
+ * @param {string} harness.name - Optional: suite name (default 'Adapter conformance')
+ */
+function runAdapterConformance(createAdapter, harness = {}) {
+  if (typeof createAdapter !== 'function') {
+    throw new Error('runAdapterConformance requires an adapter factory');
+  }
+  
+  if (typeof harness.test !== 'function') {
+    throw new Error('runAdapterConformance requires a test function in the harness');
+  }
+  
+  const suiteName = harness.name || 'Adapter conformance';
+  
+  function optional(method, name, fn) {
+    harness.test(`${method}: ${name}`, async () => {
+      const adapter = await createAdapter();
+      
+      // Optional methods are skipped when the adapter does not provide them
+      if (typeof adapter[method] !== 'function') return;
+      
+      await fn(adapter);
+    });
+  }
+  
+  function required(method, name, fn) {
+    harness.test(`${method}: ${name}`, async () => {
+      const adapter = await createAdapter();
+      await fn(adapter);
+    });
+  }
+  
+  let clock = Date.UTC(2025, 0, 1);
+  
+  function save(adapter, fields = {}) {
+    clock += 1000;
+    return adapter.saveComment({
+      postId: 'post_1',
+      authorId: 'agent_1',
+      content: 'Comment',
+      parentId: null,
+      depth: 0,
+      score: 0,
+      upvotes: 0,
+      downvotes: 0,
+      createdAt: new Date(clock),
+      ...fields
+    });
+  }
+  
+  function ids(comments) {
+    return comments.map(comment => comment.id);
+  }
+  
+  function register() {
+    required('getComment', 'returns null for a missing ID', async adapter => {
+      assert.strictEqual(await adapter.getComment('missing_id'), null);
+    });
+    
+    required('saveComment', 'returns the stored comment with an ID', async adapter => {
+      const saved = await save(adapter, { content: 'Hello', authorId: 'agent_7' });
+      
+      assert.ok(saved.id, 'saved comment has an id');
+      assert.strictEqual(saved.postId, 'post_1');
+      assert.strictEqual(saved.authorId, 'agent_7');
+      assert.strictEqual(saved.content, 'Hello');
+      assert.strictEqual(saved.parentId, null);
+      assert.strictEqual(saved.depth, 0);
+      assert.ok(saved.createdAt instanceof Date, 'createdAt is a Date');
+    });
+    
+    required('saveComment', 'assigns unique IDs', async adapter => {
+      const a = await save(adapter);
+      const b = await save(adapter);
+      
+      assert.notStrictEqual(a.id, b.id);
+    });
+    
+    required('getComment', 'returns a saved comment by ID', async adapter => {
+      const parent = await save(adapter);
+      const reply = await save(adapter, { parentId: parent.id, depth: 1 });
+      const fetched = await adapter.getComment(reply.id);
+      
+      assert.strictEqual(fetched.id, reply.id);
+      assert.strictEqual(fetched.parentId, parent.id);
+      assert.strictEqual(fetched.depth, 1);
+    });
+    
+    required('getComments', 'returns only comments of the post', async adapter => {
+      const a = await save(adapter);
+      await save(adapter, { postId: 'post_2' });
+      const b = await save(adapter);
+      
+      const comments = await adapter.getComments('post_1', { sort: 'old', limit: 100, offset: 0 });
+      
+      assert.deepStrictEqual(ids(comments), [a.id, b.id]);
+      assert.deepStrictEqual(await adapter.getComments('post_none', { sort: 'old', limit: 100, offset: 0 }), []);
+    });
+    
+    required('getComments', 'applies limit and offset after sorting', async adapter => {
+      const saved = [];
+      for (let i = 0; i < 5; i++) {
+        saved.push(await save(adapter));
+      }
+      
+      const page = await adapter.getComments('post_1', { sort: 'old', limit: 2, offset: 1 });
+      const tail = await adapter.getComments('post_1', { sort: 'old', limit: 10, offset: 4 });
+      
+      assert.deepStrictEqual(ids(page), [saved[1].id, saved[2].id]);
+      assert.deepStrictEqual(ids(tail), [saved[4].id]);
+    });
+    
+    required('getComments', 'sorts by top, new, old and controversial', async adapter => {
+      const low = await save(adapter, { score: 1, upvotes: 1, downvotes: 0 });
+      const high = await save(adapter, { score: 5, upvotes: 5, downvotes: 0 });
+      const split = await save(adapter, { score: 0, upvotes: 4, downvotes: 4 });
+      const query = sort => adapter.getComments('post_1', { sort, limit: 100, offset: 0 });
+      
+      assert.deepStrictEqual(ids(await query('top')), [high.id, low.id, split.id]);
+      assert.deepStrictEqual(ids(await query('new')), [split.id, high.id, low.id]);
+      assert.deepStrictEqual(ids(await query('old')), [low.id, high.id, split.id]);
+      assert.strictEqual((await query('controversial'))[0].id, split.id);
+    });
+    
+    required('deleteComment', 'soft-deletes, keeping the comment in its thread', async adapter => {
+      const comment = await save(adapter, { content: 'Secret' });
+      
+      await adapter.deleteComment(comment.id);
+      
+      const deleted = await adapter.getComment(comment.id);
+      assert.strictEqual(deleted.content, '[deleted]');
+      assert.strictEqual(deleted.isDeleted, true);
+      assert.strictEqual(deleted.postId, 'post_1');
+      assert.deepStrictEqual(ids(await adapter.getComments('post_1', { sort: 'old', limit: 100, offset: 0 })), [comment.id]);
+    });
+    
+    optional('updateScore', 'adds the delta and returns the new score', async adapter => {
+      const comment = await save(adapter, { score: 2 });
+      
+      assert.strictEqual(await adapter.updateScore(comment.id, 3), 5);
+      assert.strictEqual(await adapter.updateScore(comment.id, -1), 4);
+      assert.strictEqual((await adapter.getComment(comment.id)).score, 4);
+    });
+    
+    optional('getReplies', 'returns direct replies only, sorted, limited and offset', async adapter => {
+      const parent = await save(adapter);
+      const first = await save(adapter, { parentId: parent.id, depth: 1 });
+      const second = await save(adapter, { parentId: parent.id, depth: 1, score: 3 });
+      await save(adapter, { parentId: first.id, depth: 2 });
+      
+      assert.deepStrictEqual(ids(await adapter.getReplies(parent.id, { sort: 'old', limit: 25 })), [first.id, second.id]);
+      assert.deepStrictEqual(ids(await adapter.getReplies(parent.id, { sort: 'top', limit: 1 })), [second.id]);
+      assert.deepStrictEqual(ids(await adapter.getReplies(parent.id, { sort: 'top', limit: 1, offset: 1 })), [first.id]);
+      assert.deepStrictEqual(await adapter.getReplies('missing_id', { sort: 'top', limit: 25 }), []);
+    });
+    
+    optional('getAncestors', 'returns ancestors nearest first, up to the limit', async adapter => {
+      const root = await save(adapter);
+      const child = await save(adapter, { parentId: root.id, depth: 1 });
+      const grandchild = await save(adapter, { parentId: child.id, depth: 2 });
+      const leaf = await save(adapter, { parentId: grandchild.id, depth: 3 });
+      
+      assert.deepStrictEqual(ids(await adapter.getAncestors(leaf.id, { limit: 100 })), [grandchild.id, child.id, root.id]);
+      assert.deepStrictEqual(ids(await adapter.getAncestors(leaf.id, { limit: 2 })), [grandchild.id, child.id]);
+      assert.deepStrictEqual(await adapter.getAncestors(root.id, { limit: 100 }), []);
+      assert.strictEqual((await adapter.getAncestors(leaf.id, { limit: 1 }))[0].depth, 2);
+    });
+    
+    optional('getCommentsByAuthor', 'returns the author\'s comments across posts, sorted and paged', async adapter => {
+      const first = await save(adapter, { authorId: 'agent_x' });
+      const second = await save(adapter, { authorId: 'agent_x', postId: 'post_2', score: 5 });
+      const deleted = await save(adapter, { authorId: 'agent_x' });
+      await save(adapter, { authorId: 'agent_2' });
+      
+      await adapter.deleteComment(deleted.id);
+      
+      const byAuthor = options => adapter.getCommentsByAuthor('agent_x', { sort: 'old', limit: 25, offset: 0, ...options });
+      
+      assert.deepStrictEqual(ids(await byAuthor()), [first.id, second.id]);
+      assert.deepStrictEqual(ids(await byAuthor({ includeDeleted: true })), [first.id, second.id, deleted.id]);
+      assert.deepStrictEqual(ids(await byAuthor({ sort: 'top', limit: 1 })), [second.id]);
+      assert.deepStrictEqual(ids(await byAuthor({ limit: 1, offset: 1 })), [second.id]);
+      assert.deepStrictEqual(await adapter.getCommentsByAuthor('agent_none', { sort: 'new', limit: 25, offset: 0 }), []);
+    });
+    
+    optional('getAgentStats', 'totals the author\'s comments and replies from others', async adapter => {
+      const root = await save(adapter, { authorId: 'agent_x', score: 3 });
+      const reply = await save(adapter, { authorId: 'agent_x', parentId: root.id, depth: 1, score: 2 });
+      await save(adapter, { authorId: 'agent_2', parentId: root.id, depth: 1 });
+      await save(adapter, { authorId: 'agent_3', parentId: reply.id, depth: 2 });
+      const deletedReply = await save(adapter, { authorId: 'agent_3', parentId: reply.id, depth: 2 });
+      const deleted = await save(adapter, { authorId: 'agent_x', score: 10 });
+      
+      await adapter.deleteComment(deletedReply.id);
+      await adapter.deleteComment(deleted.id);
+      
+      assert.deepStrictEqual(await adapter.getAgentStats('agent_x'), {
+        commentCount: 2,
+        totalScore: 5,
+        repliesReceived: 2,
+        averageDepth: 0.5
+      });
+      assert.deepStrictEqual(await adapter.getAgentStats('agent_none'), {
+        commentCount: 0,
+        totalScore: 0,
+        repliesReceived: 0,
+        averageDepth: 0
+      });
+    });
+    
+    optional('searchComments', 'matches words, phrases and prefixes, with filters', async adapter => {
+      const first = await save(adapter, { content: 'Retry the request after a short delay' });
+      const second = await save(adapter, { content: 'The request was rate limited', authorId: 'agent_2' });
+      const other = await save(adapter, { content: 'Requests to another post', postId: 'post_2' });
+      const search = (query, options = {}) => adapter.searchComments(query, { sort: 'old', limit: 25, offset: 0, ...options });
+      
+      assert.deepStrictEqual(ids(await search('REQUEST')), [first.id, second.id]);
+      assert.deepStrictEqual(ids(await search('"rate limited"')), [second.id]);
+      assert.deepStrictEqual(ids(await search('"limited rate"')), []);
+      assert.deepStrictEqual(ids(await search('request*')), [first.id, second.id, other.id]);
+      assert.deepStrictEqual(ids(await search('request*', { postId: 'post_2' })), [other.id]);
+      assert.deepStrictEqual(ids(await search('request', { authorId: 'agent_2' })), [second.id]);
+      assert.deepStrictEqual(ids(await search('request', { since: second.createdAt })), [second.id]);
+      assert.deepStrictEqual(ids(await search('request', { until: second.createdAt })), [first.id]);
+      assert.deepStrictEqual(ids(await search('request', { limit: 1, offset: 1 })), [second.id]);
+      assert.deepStrictEqual(ids(await search('request delay', { sort: 'relevance' })), [first.id]);
+    });
+    
+    optional('searchComments', 'no longer finds deleted comments', async adapter => {
+      const comment = await save(adapter, { content: 'Searchable words' });
+      
+      await adapter.deleteComment(comment.id);
+      
+      assert.deepStrictEqual(await adapter.searchComments('searchable', { sort: 'relevance', limit: 25, offset: 0 }), []);
+    });
+    
+    required('saveComment', 'maintains reply and descendant counts when the adapter keeps counters', async adapter => {
+      const parent = await save(adapter);
+      
+      // Counters are optional; adapters that do not keep them leave them out
+      if (parent.replyCount === undefined) return;
+      
+      assert.strictEqual(parent.replyCount, 0);
+      assert.strictEqual(parent.descendantCount, 0);
+      
+      const reply = await save(adapter, { parentId: parent.id, depth: 1 });
+      await save(adapter, { parentId: parent.id, depth: 1 });
+      const leaf = await save(adapter, { parentId: reply.id, depth: 2 });
+      
+      const counts = async id => {
+        const comment = await adapter.getComment(id);
+        return [comment.replyCount, comment.descendantCount];
+      };
+      
+      assert.deepStrictEqual(await counts(parent.id), [2, 3]);
+      assert.deepStrictEqual(await counts(reply.id), [1, 1]);
+      
+      if (typeof adapter.purgeComment === 'function') {
+        await adapter.purgeComment(leaf.id);
+        assert.deepStrictEqual(await counts(parent.id), [2, 2]);
+        assert.deepStrictEqual(await counts(reply.id), [0, 0]);
+      }
+    });
+    
+    optional('transaction', 'runs overlapping transactions one after another', async adapter => {
+      const comment = await save(adapter, { content: '0' });
+      
+      const increment = () => adapter.transaction(async tx => {
+        const current = await tx.getComment(comment.id);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await tx.updateComment(comment.id, { content: String(Number(current.content) + 1) });
+      });
+      
+      await Promise.all([increment(), increment(), increment()]);
+      
+      assert.strictEqual((await adapter.getComment(comment.id)).content, '3');
+      assert.strictEqual(await adapter.transaction(async () => 'result'), 'result');
+    });
+    
+    optional('getCount', 'stays in step as comments are purged', async adapter => {
+      const comment = await save(adapter);
+      await save(adapter);
+      await save(adapter, { postId: 'post_2' });
+      
+      if (typeof adapter.purgeComment === 'function') {
+        await adapter.purgeComment(comment.id);
+        assert.strictEqual(await adapter.getCount('post_1'), 1);
+      }
+      
+      if (typeof adapter.deletePost === 'function') {
+        await adapter.deletePost('post_1');
+        assert.strictEqual(await adapter.getCount('post_1'), 0);
+        assert.strictEqual(await adapter.getCount('post_2'), 1);
+      }
+    });
+    
+    optional('getCount', 'counts comments of the post', async adapter => {
+      const parent = await save(adapter);
+      await save(adapter, { parentId: parent.id, depth: 1 });
+      await save(adapter, { postId: 'post_2' });
+      
+      assert.strictEqual(await adapter.getCount('post_1'), 2);
+      assert.strictEqual(await adapter.getCount('post_none'), 0);
+    });
+    
+    optional('saveVote', 'records votes in the ledger and applies tallies', async adapter => {
+      const comment = await save(adapter);
+      
+      assert.strictEqual(await adapter.getVote(comment.id, 'agent_2'), null);
+      
+      const up = await adapter.saveVote(comment.id, 'agent_2', 1, { score: 1, upvotes: 1, downvotes: 0 });
+      assert.deepStrictEqual(up, { score: 1, upvotes: 1, downvotes: 0 });
+      assert.strictEqual(await adapter.getVote(comment.id, 'agent_2'), 1);
+      
+      await adapter.saveVote(comment.id, 'agent_2', 0, { score: -1, upvotes: -1, downvotes: 0 });
+      assert.strictEqual(await adapter.getVote(comment.id, 'agent_2'), null);
+      
+      const stored = await adapter.getComment(comment.id);
+      assert.strictEqual(stored.score, 0);
+      assert.strictEqual(stored.upvotes, 0);
+    });
+    
+    optional('updateComment', 'applies changes and returns the comment', async adapter => {
+      const comment = await save(adapter, { content: 'Before' });
+      const editedAt = new Date(clock + 1000);
+      
+      const updated = await adapter.updateComment(comment.id, { content: 'After', editedAt });
+      
+      assert.strictEqual(updated.id, comment.id);
+      assert.strictEqual(updated.content, 'After');
+      assert.strictEqual(new Date(updated.editedAt).getTime(), editedAt.getTime());
+      assert.strictEqual((await adapter.getComment(comment.id)).content, 'After');
+      assert.strictEqual(await adapter.updateComment('missing_id', { content: 'Nope' }), null);
+    });
+    
+    optional('getRevisions', 'returns saved revisions oldest first', async adapter => {
+      const comment = await save(adapter);
+      
+      assert.deepStrictEqual(await adapter.getRevisions(comment.id), []);
+      
+      await adapter.saveRevision(comment.id, { content: 'First', createdAt: new Date(1000) });
+      await adapter.saveRevision(comment.id, { content: 'Second', createdAt: new Date(2000) });
+      
+      const revisions = await adapter.getRevisions(comment.id);
+      assert.deepStrictEqual(revisions.map(revision => revision.content), ['First', 'Second']);
+      assert.strictEqual(new Date(revisions[0].createdAt).getTime(), 1000);
+    });
+    
+    optional('saveReaction', 'keeps one reaction per type per agent and counts them', async adapter => {
+      const comment = await save(adapter);
+      const other = await save(adapter);
+      
+      assert.strictEqual(await adapter.saveReaction(comment.id, 'agent_1', '🔥'), true);
+      assert.strictEqual(await adapter.saveReaction(comment.id, 'agent_1', '🔥'), false);
+      await adapter.saveReaction(comment.id, 'agent_2', '🔥');
+      await adapter.saveReaction(comment.id, 'agent_1', 'thinking');
+      
+      assert.deepStrictEqual(await adapter.getReactionCounts([comment.id, other.id]), {
+        [comment.id]: { '🔥': 2, thinking: 1 }
+      });
+      
+      assert.strictEqual(await adapter.deleteReaction(comment.id, 'agent_1', '🔥'), true);
+      assert.strictEqual(await adapter.deleteReaction(comment.id, 'agent_1', '🔥'), false);
+      assert.deepStrictEqual(await adapter.getReactionCounts([comment.id]), {
+        [comment.id]: { '🔥': 1, thinking: 1 }
+      });
+    });
+    
+    optional('saveNotification', 'stores notifications and lists them newest first', async adapter => {
+      const notify = (agentId, commentId) => adapter.saveNotification({
+        agentId,
+        type: 'reply',
+        commentId,
+        postId: 'post_1',
+        actorId: 'agent_2',
+        isRead: false,
+        createdAt: new Date(clock += 1000)
+      });
+      
+      const first = await notify('agent_1', 'c1');
+      const second = await notify('agent_1', 'c2');
+      await notify('agent_3', 'c3');
+      
+      assert.ok(first.id, 'saved notification has an id');
+      assert.notStrictEqual(first.id, second.id);
+      assert.strictEqual(first.isRead, false);
+      assert.ok(first.createdAt instanceof Date, 'createdAt is a Date');
+      
+      const listed = await adapter.getNotifications('agent_1', { limit: 10, offset: 0 });
+      assert.deepStrictEqual(ids(listed), [second.id, first.id]);
+      assert.strictEqual(listed[0].commentId, 'c2');
+      assert.strictEqual(listed[0].actorId, 'agent_2');
+      assert.deepStrictEqual(ids(await adapter.getNotifications('agent_1', { limit: 1, offset: 1 })), [first.id]);
+    });
+    
+    optional('markNotificationsRead', 'marks the given or all notifications read', async adapter => {
+      const notify = agentId => adapter.saveNotification({
+        agentId,
+        type: 'mention',
+        commentId: 'c1',
+        postId: 'post_1',
+        actorId: 'agent_2',
+        isRead: false,
+        createdAt: new Date(clock += 1000)
+      });
+      
+      const first = await notify('agent_1');
+      const second = await notify('agent_1');
+      const other = await notify('agent_3');
+      
+      assert.strictEqual(await adapter.markNotificationsRead('agent_1', [first.id, other.id]), 1);
+      assert.deepStrictEqual(ids(await adapter.getNotifications('agent_1', { unreadOnly: true, limit: 10, offset: 0 })), [second.id]);
+      
+      assert.strictEqual(await adapter.markNotificationsRead('agent_1'), 1);
+      assert.deepStrictEqual(await adapter.getNotifications('agent_1', { unreadOnly: true, limit: 10, offset: 0 }), []);
+      assert.strictEqual((await adapter.getNotifications('agent_3', { unreadOnly: true, limit: 10, offset: 0 }))[0].isRead, false);
+    });
+    
+    optional('purgeComment', 'removes the comment permanently', async adapter => {
+      const comment = await save(adapter);
+      const other = await save(adapter);
+      
+      await adapter.purgeComment(comment.id);
+      
+      assert.strictEqual(await adapter.getComment(comment.id), null);
+      assert.deepStrictEqual(ids(await adapter.getComments('post_1', { sort: 'old', limit: 100, offset: 0 })), [other.id]);
+    });
+    
+    optional('purgeAgent', 'anonymises or removes the agent\'s comments', async adapter => {
+      const root = await save(adapter, { authorId: 'agent_x' });
+      await save(adapter, { parentId: root.id, depth: 1, authorId: 'agent_2' });
+      const leaf = await save(adapter, { authorId: 'agent_x', postId: 'post_2' });
+      
+      const result = await adapter.purgeAgent('agent_x', { mode: 'remove' });
+      
+      assert.deepStrictEqual(result, { removed: 1, anonymized: 1 });
+      assert.strictEqual(await adapter.getComment(leaf.id), null);
+      
+      const anonymised = await adapter.getComment(root.id);
+      assert.strictEqual(anonymised.content, '[deleted]');
+      assert.strictEqual(anonymised.authorId, null);
+      assert.strictEqual(anonymised.isDeleted, true);
+    });
+    
+    optional('purgeAgent', 'takes the agent\'s votes back out of the tallies', async adapter => {
+      if (typeof adapter.saveVote !== 'function') return;
+      
+      const up = await save(adapter);
+      const down = await save(adapter);
+      await adapter.saveVote(up.id, 'agent_x', 1, { score: 1, upvotes: 1, downvotes: 0 });
+      await adapter.saveVote(up.id, 'agent_2', 1, { score: 1, upvotes: 1, downvotes: 0 });
+      await adapter.saveVote(down.id, 'agent_x', -1, { score: -1, upvotes: 0, downvotes: 1 });
+      
+      await adapter.purgeAgent('agent_x');
+      
+      const kept = await adapter.getComment(up.id);
+      assert.deepStrictEqual([kept.score, kept.upvotes, kept.downvotes], [1, 1, 0]);
+      
+      const cleared = await adapter.getComment(down.id);
+      assert.deepStrictEqual([cleared.score, cleared.upvotes, cleared.downvotes], [0, 0, 0]);
+      assert.strictEqual(await adapter.getVote(up.id, 'agent_x'), null);
+    });
+    
+    optional('deletePost', 'removes every comment of the post and returns the count', async adapter => {
+      const parent = await save(adapter);
+      await save(adapter, { parentId: parent.id, depth: 1 });
+      const kept = await save(adapter, { postId: 'post_2' });
+      
+      assert.strictEqual(await adapter.deletePost('post_1'), 2);
+      assert.deepStrictEqual(await adapter.getComments('post_1', { sort: 'old', limit: 100, offset: 0 }), []);
+      assert.strictEqual((await adapter.getComment(kept.id)).id, kept.id);
+    });
+  }
+  
+  if (typeof harness.describe === 'function') {
+    harness.describe(suiteName, register);
+  } else {
+    register();
+  }
+}
+
+module.exports = { runAdapterConformance };
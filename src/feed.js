@@ -0,0 +1,132 @@
+/**
+ * Live event feeds for subscriptions
+ */
+
+/**
+ * Create an in-process event feed
+ * 
+ * Sequence numbers are shared by every post and only grow, so a client
+ * that reconnects can ask for everything after the last one it saw. Shared
+ * feeds (Redis streams, a database table) implement the same five methods.
+ * 
+ * @param {Object} options - Feed options
+ * @param {number} options.maxEvents - Events kept for catching up, across all posts (default 10000)
+ * @returns {Object} Feed with publish(postId, event), read(postId, since), listen(postId, handler),
+ *   position(postId) and forget(postId, commentIds)
+ */
+function createMemoryFeed({ maxEvents = 10000 } = {}) {
+  if (!(maxEvents > 0)) {
+    throw new Error('Feed maxEvents must be positive');
+  }
+  
+  // Oldest first, so sequence numbers are ascending
+  const events = [];
+  // postId -> Set(handlers)
+  const listeners = new Map();
+  let sequence = 0;
+  // Sequence number of the newest event that has been dropped
+  let dropped = 0;
+  
+  // Index of the first kept event after seq
+  function after(seq) {
+    let low = 0;
+    let high = events.length;
+    
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (events[mid].seq <= seq) low = mid + 1;
+      else high = mid;
+    }
+    
+    return low;
+  }
+  
+  return {
+    /**
+     * Store an event and hand it to the post's listeners
+     * 
+     * @returns {Promise<Object>} The event with its sequence number
+     */
+    async publish(postId, event) {
+      const stored = { ...event, postId, seq: ++sequence };
+      events.push(stored);
+      
+      while (events.length > maxEvents) {
+        dropped = events.shift().seq;
+      }
+      
+      for (const handler of Array.from(listeners.get(postId) || [])) {
+        handler(stored);
+      }
+      
+      return stored;
+    },
+
+    /**
+     * Get a post's events after a sequence number, oldest first
+     * Returns null when events after since are no longer kept, or when since
+     * is ahead of the feed (it was issued before a restart).
+     */
+    async read(postId, since) {
+      if (since < dropped || since > sequence) {
+        return null;
+      }
+      
+      return events.slice(after(since)).filter(event => event.postId === postId);
+    },
+
+    /**
+     * Drop kept events about comments whose content has been erased
+     * With commentIds null, every kept event of the post is dropped.
+     */
+    async forget(postId, commentIds) {
+      const ids = commentIds && new Set(commentIds);
+      let kept = 0;
+      
+      for (const event of events) {
+        const erased = event.postId === postId && (!ids || (event.comment && ids.has(event.comment.id)));
+        if (!erased) events[kept++] = event;
+      }
+      
+      events.length = kept;
+    },
+
+    /**
+     * Call handler with each event published for a post from now on
+     * 
+     * @returns {Function} Function that stops listening
+     */
+    listen(postId, handler) {
+      if (!listeners.has(postId)) listeners.set(postId, new Set());
+      listeners.get(postId).add(handler);
+      
+      return () => {
+        const handlers = listeners.get(postId);
+        if (!handlers) return;
+        
+        handlers.delete(handler);
+        if (handlers.size === 0) listeners.delete(postId);
+      };
+    },
+
+    /**
+     * Get the sequence number to subscribe from to miss nothing after now
+     */
+    async position(postId) {
+      return sequence;
+    },
+
+    /**
+     * Drop all events and listeners (for testing)
+     */
+    async clear() {
+      events.length = 0;
+      listeners.clear();
+      dropped = sequence;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryFeed
+};
@@ -2,10 +2,14 @@
  * TypeScript definitions for @moltbook/comments
  */
 
+import { EventEmitter } from 'events';
+
+export type CommentStatus = 'published' | 'pending';
+
 export interface Comment {
   id: string;
   postId: string;
-  authorId: string;
+  authorId: string | null;
   content: string;
   parentId: string | null;
   depth: number;
@@ -13,8 +17,43 @@ export interface Comment {
   upvotes?: number;
   downvotes?: number;
   isDeleted?: boolean;
+  status?: CommentStatus;
+  flags?: string[];
+  isRemoved?: boolean;
+  removedBy?: string | null;
+  removalReason?: string | null;
+  removedAt?: Date | null;
+  isLocked?: boolean;
+  isPinned?: boolean;
+  replyCount?: number;
+  descendantCount?: number;
   createdAt: Date;
-  replies?: Comment[];
+  editedAt?: Date | null;
+  reactions?: ReactionCounts;
+  contentHtml?: string;
+  replies?: ThreadNode[];
+}
+
+export type ReactionCounts = Record<string, number>;
+
+export interface MoreStub {
+  type: 'more';
+  parentId: string;
+  count: number;
+  cursor: string;
+}
+
+export type ThreadNode = Comment | MoreStub;
+
+export interface TreeBudgets {
+  maxReplies?: number;
+  maxDepth?: number;
+}
+
+export interface SubtreeOptions extends TreeBudgets {
+  sort?: QueryOptions['sort'];
+  cursor?: string;
+  pruneDeleted?: boolean;
 }
 
 export interface CreateCommentOptions {
@@ -30,10 +69,113 @@ export interface ReplyOptions {
   content: string;
 }
 
-export interface QueryOptions {
-  sort?: 'top' | 'new' | 'old' | 'controversial';
+export type SortName = 'top' | 'new' | 'old' | 'controversial' | 'best' | 'hot' | (string & {});
+
+export type CompareFn = (a: Comment, b: Comment) => number;
+
+export interface QueryOptions extends TreeBudgets {
+  sort?: SortName;
+  pruneDeleted?: boolean;
   limit?: number;
   offset?: number;
+  cursor?: string;
+}
+
+export type ExportFormat = 'json' | 'markdown' | 'activitystreams';
+
+export interface ExportOptions {
+  format?: ExportFormat;
+  sort?: SortName;
+  pruneDeleted?: boolean;
+  baseUrl?: string;
+}
+
+export interface ExportedComment {
+  id: string;
+  parentId: string | null;
+  authorId: string | null;
+  content: string;
+  depth: number;
+  score: number;
+  upvotes?: number;
+  downvotes?: number;
+  status?: CommentStatus;
+  flags?: string[];
+  isDeleted?: boolean;
+  isRemoved?: boolean;
+  isLocked?: boolean;
+  isPinned?: boolean;
+  reactions?: ReactionCounts;
+  createdAt: string;
+  editedAt?: string | null;
+}
+
+export interface ThreadExport {
+  version: 1;
+  postId: string;
+  exportedAt: string;
+  count: number;
+  comments: ExportedComment[];
+}
+
+export interface ActivityStreamsCollection {
+  '@context': 'https://www.w3.org/ns/activitystreams';
+  type: 'OrderedCollection';
+  id: string;
+  totalItems: number;
+  orderedItems: Record<string, unknown>[];
+}
+
+export interface ImportResult {
+  postId: string;
+  count: number;
+  ids: Record<string, string>;
+}
+
+export interface ContextOptions {
+  ancestors?: number;
+  descendantsDepth?: number;
+  sort?: SortName;
+  maxReplies?: number;
+}
+
+export interface ContextView {
+  comments: ThreadNode[];
+  hasMoreAncestors: boolean;
+}
+
+export interface IterateThreadOptions {
+  order?: 'dfs' | 'bfs';
+  sort?: SortName;
+  batchSize?: number;
+}
+
+export interface ThreadPage {
+  comments: ThreadNode[];
+  nextCursor: string | null;
+}
+
+export type VoteDirection = 'up' | 'down' | 'clear';
+
+export interface VoteDelta {
+  score: number;
+  upvotes: number;
+  downvotes: number;
+}
+
+export interface VoteTallies {
+  score: number;
+  upvotes: number;
+  downvotes: number;
+}
+
+export interface VoteResult extends VoteTallies {
+  vote: -1 | 0 | 1;
+}
+
+export interface Revision {
+  content: string;
+  createdAt: Date;
 }
 
 export interface CommentAdapter {
@@ -43,30 +185,293 @@ export interface CommentAdapter {
   deleteComment(id: string): Promise<void>;
   updateScore?(id: string, delta: number): Promise<number>;
   getReplies?(commentId: string, options: QueryOptions): Promise<Comment[]>;
+  getAncestors?(commentId: string, options: { limit: number }): Promise<Comment[]>;
   getCount?(postId: string): Promise<number>;
+  getVote?(commentId: string, agentId: string): Promise<-1 | 1 | null>;
+  saveVote?(commentId: string, agentId: string, value: -1 | 0 | 1, delta: VoteDelta): Promise<VoteTallies>;
+  updateComment?(id: string, changes: Partial<Comment>): Promise<Comment | null>;
+  saveRevision?(commentId: string, revision: Revision): Promise<void>;
+  getRevisions?(commentId: string): Promise<Revision[]>;
+  purgeComment?(id: string): Promise<void>;
+  purgeAgent?(agentId: string, options: { mode: PurgeMode }): Promise<PurgeResult>;
+  deletePost?(postId: string): Promise<number>;
+  saveReaction?(commentId: string, agentId: string, reaction: string): Promise<boolean>;
+  deleteReaction?(commentId: string, agentId: string, reaction: string): Promise<boolean>;
+  getReactionCounts?(commentIds: string[]): Promise<Record<string, ReactionCounts>>;
+  saveNotification?(notification: Omit<Notification, 'id'>): Promise<Notification>;
+  getNotifications?(agentId: string, options: { unreadOnly?: boolean; limit: number; offset: number }): Promise<Notification[]>;
+  markNotificationsRead?(agentId: string, ids?: string[]): Promise<number>;
+  searchComments?(query: string, options: AdapterSearchOptions): Promise<Comment[]>;
+  getCommentsByAuthor?(authorId: string, options: QueryOptions & { includeDeleted?: boolean }): Promise<Comment[]>;
+  getAgentStats?(agentId: string): Promise<AgentStats>;
+  transaction?<T>(fn: (tx: this) => Promise<T>): Promise<T>;
+}
+
+export interface AgentCommentsOptions {
+  sort?: SortName;
+  limit?: number;
+  cursor?: string;
+  includeDeleted?: boolean;
+}
+
+export interface AgentCommentsPage {
+  comments: Comment[];
+  nextCursor: string | null;
+}
+
+export interface AgentStats {
+  commentCount: number;
+  totalScore: number;
+  repliesReceived: number;
+  averageDepth: number;
 }
 
+export type SearchSort = 'relevance' | SortName;
+
+export interface AdapterSearchOptions {
+  postId?: string;
+  authorId?: string;
+  since?: Date;
+  until?: Date;
+  sort: SearchSort;
+  limit: number;
+  offset: number;
+}
+
+export interface SearchOptions {
+  postId?: string;
+  authorId?: string;
+  since?: Date | string | number;
+  until?: Date | string | number;
+  sort?: SearchSort;
+  limit?: number;
+  cursor?: string;
+}
+
+export interface SearchPage {
+  comments: Comment[];
+  nextCursor: string | null;
+}
+
+export interface SearchClause {
+  words: string[];
+  prefix: boolean;
+}
+
+export interface SearchIndex {
+  add(id: string, text: string): void;
+  remove(id: string): void;
+  search(query: string | SearchClause[]): Map<string, number>;
+  clear(): void;
+}
+
+export type NotificationType = 'reply' | 'mention';
+
+export interface Notification {
+  id: string;
+  agentId: string;
+  type: NotificationType;
+  commentId: string;
+  postId: string;
+  actorId: string;
+  isRead: boolean;
+  createdAt: Date;
+}
+
+export interface NotificationQueryOptions {
+  unreadOnly?: boolean;
+  limit?: number;
+  cursor?: string;
+}
+
+export interface NotificationPage {
+  notifications: Notification[];
+  nextCursor: string | null;
+}
+
+export type PurgeMode = 'anonymize' | 'remove';
+
+export interface PurgeResult {
+  removed: number;
+  anonymized: number;
+}
+
+export interface CommentEvent {
+  comment: Comment;
+  agentId: string | null;
+}
+
+export interface CommentEvents {
+  'comment:created': CommentEvent;
+  'comment:replied': CommentEvent & { parent: Comment };
+  'comment:edited': CommentEvent & { previous: Comment };
+  'comment:deleted': CommentEvent;
+  'comment:scored': CommentEvent & { vote?: -1 | 0 | 1; delta?: number };
+  'comment:removed': CommentEvent;
+  'comment:restored': CommentEvent;
+  'comment:approved': CommentEvent;
+  'comment:locked': CommentEvent;
+  'comment:unlocked': CommentEvent;
+  'comment:pinned': CommentEvent;
+  'comment:unpinned': CommentEvent;
+  'comment:purged': CommentEvent & { count: number };
+  'agent:purged': PurgeResult & { agentId: string };
+  'post:deleted': { postId: string; count: number };
+  'thread:imported': { postId: string; count: number };
+  'comment:reacted': CommentEvent & { reaction: string };
+  'comment:unreacted': CommentEvent & { reaction: string };
+  'notification:created': { notification: Notification };
+  'feed:error': { error: unknown; postId: string; event: FeedEvent };
+}
+
+export type FeedEventType =
+  | Exclude<keyof CommentEvents, 'agent:purged' | 'notification:created' | 'feed:error'>
+  | 'feed:reset';
+
+export interface FeedEvent {
+  seq: number;
+  type: FeedEventType;
+  postId: string;
+  comment: Comment | null;
+  agentId: string | null;
+  count?: number;
+}
+
+export interface Feed {
+  publish(postId: string, event: Omit<FeedEvent, 'seq'>): Promise<FeedEvent>;
+  read(postId: string, since: number): Promise<FeedEvent[] | null>;
+  listen(postId: string, handler: (event: FeedEvent) => void): () => void;
+  position(postId: string): Promise<number>;
+  forget(postId: string, commentIds: string[] | null): Promise<void>;
+}
+
+export interface MemoryFeedOptions {
+  maxEvents?: number;
+}
+
+export interface HookContexts {
+  beforeCreate: { comment: Partial<Comment>; agentId: string };
+  beforeReply: { comment: Partial<Comment>; parent: Comment; agentId: string };
+  beforeEdit: { comment: Comment; changes: Partial<Comment>; agentId: string };
+  beforeDelete: { comment: Comment; agentId: string };
+  beforeVote: { comment: Comment; agentId: string; direction: VoteDirection };
+}
+
+export type Hook<K extends keyof HookContexts> = (context: HookContexts[K]) => void | Promise<void>;
+
+export type HookMap = {
+  [K in keyof HookContexts]?: Hook<K> | Hook<K>[];
+};
+
+export interface ModerationContext {
+  action: 'create' | 'reply' | 'edit';
+  postId: string;
+  authorId: string;
+  parentId: string | null;
+  commentId?: string;
+}
+
+export type ModerationResult = void | null | string | { content?: string; flag?: string };
+
+export type Validator = (content: string, context: ModerationContext) => ModerationResult | Promise<ModerationResult>;
+
 export interface CommentSystemOptions {
   maxDepth?: number;
   maxLength?: number;
+  maxSourceLength?: number | null;
+  hooks?: HookMap;
+  moderation?: Validator[];
+  canModerate?: (agentId: string, postId: string) => boolean | Promise<boolean>;
+  rateLimit?: RateLimiter | RateLimiterOptions | null;
+  pruneDeleted?: boolean;
+  fieldMap?: FieldMap;
+  resolveMentions?: (
+    names: string[],
+    context: { postId: string; authorId: string }
+  ) => Array<string | null> | Promise<Array<string | null>>;
+  allowedReactions?: string[] | null;
+  markdown?: boolean;
+  feed?: Feed | MemoryFeedOptions | null;
 }
 
-export class CommentSystem {
+export type FieldMap = 'auto' | 'camelCase' | 'snake_case' | Partial<Record<keyof Comment, string>>;
+
+export interface RateLimitTakeOptions {
+  capacity: number;
+  refillPerSecond: number;
+  now: number;
+}
+
+export interface RateLimitStore {
+  take(key: string, options: RateLimitTakeOptions): Promise<{ allowed: boolean; retryAfter: number }>;
+}
+
+export interface RateLimiterOptions {
+  capacity?: number;
+  refillPerSecond?: number;
+  perPost?: boolean;
+  store?: RateLimitStore;
+  now?: () => number;
+}
+
+export interface RateLimiter {
+  consume(key: { authorId: string; postId: string }): Promise<{ allowed: boolean; retryAfter: number }>;
+}
+
+export class CommentSystem extends EventEmitter {
   constructor(adapter: CommentAdapter, options?: CommentSystemOptions);
   
+  hook<K extends keyof HookContexts>(name: K, fn: Hook<K>): () => void;
+  on<K extends keyof CommentEvents>(event: K, listener: (payload: CommentEvents[K]) => void): this;
+  once<K extends keyof CommentEvents>(event: K, listener: (payload: CommentEvents[K]) => void): this;
+  off<K extends keyof CommentEvents>(event: K, listener: (payload: CommentEvents[K]) => void): this;
+  
   create(options: CreateCommentOptions): Promise<Comment>;
   reply(options: ReplyOptions): Promise<Comment>;
-  getThread(postId: string, options?: QueryOptions): Promise<Comment[]>;
+  getThread(postId: string, options?: QueryOptions): Promise<ThreadNode[]>;
+  getThreadPage(postId: string, options?: QueryOptions): Promise<ThreadPage>;
+  getSubtree(commentId: string, options?: SubtreeOptions): Promise<ThreadNode[]>;
+  getContext(commentId: string, options?: ContextOptions): Promise<ContextView>;
   getComment(id: string): Promise<Comment>;
+  exportThread(postId: string, options?: ExportOptions & { format?: 'json' }): Promise<ThreadExport>;
+  exportThread(postId: string, options: ExportOptions & { format: 'markdown' }): Promise<string>;
+  exportThread(postId: string, options: ExportOptions & { format: 'activitystreams' }): Promise<ActivityStreamsCollection>;
+  importThread(data: ThreadExport | string, options?: { postId?: string }): Promise<ImportResult>;
   delete(commentId: string, agentId: string): Promise<void>;
+  edit(commentId: string, agentId: string, content: string): Promise<Comment>;
+  getRevisions(commentId: string): Promise<Revision[]>;
+  remove(commentId: string, moderatorId: string, reason?: string | null): Promise<Comment>;
+  restore(commentId: string, moderatorId: string): Promise<Comment>;
+  approve(commentId: string, moderatorId: string): Promise<Comment>;
+  lock(commentId: string, moderatorId: string): Promise<Comment>;
+  unlock(commentId: string, moderatorId: string): Promise<Comment>;
+  pin(commentId: string, moderatorId: string): Promise<Comment>;
+  unpin(commentId: string, moderatorId: string): Promise<Comment>;
+  purgeComment(commentId: string, options?: { cascade?: boolean }): Promise<number>;
+  purgeAgent(agentId: string, options?: { mode?: PurgeMode }): Promise<PurgeResult>;
+  deletePost(postId: string): Promise<number>;
   getReplies(commentId: string, options?: QueryOptions): Promise<Comment[]>;
+  iterateComments(postId: string, options?: { sort?: SortName; batchSize?: number }): AsyncGenerator<Comment>;
+  iterateThread(postId: string, options?: IterateThreadOptions): AsyncGenerator<Comment>;
   getCount(postId: string): Promise<number>;
+  search(query: string, options?: SearchOptions): Promise<SearchPage>;
+  getAgentComments(agentId: string, options?: AgentCommentsOptions): Promise<AgentCommentsPage>;
+  getAgentStats(agentId: string): Promise<AgentStats>;
+  getNotifications(agentId: string, options?: NotificationQueryOptions): Promise<NotificationPage>;
+  markRead(agentId: string, ids?: string[]): Promise<number>;
   updateScore(commentId: string, delta: number): Promise<number>;
+  vote(commentId: string, agentId: string, direction: VoteDirection): Promise<VoteResult>;
+  getVote(commentId: string, agentId: string): Promise<-1 | 0 | 1>;
+  react(commentId: string, agentId: string, reaction: string): Promise<ReactionCounts>;
+  unreact(commentId: string, agentId: string, reaction: string): Promise<ReactionCounts>;
+  subscribe(postId: string, listener: (event: FeedEvent) => void | Promise<void>, options?: { since?: number }): Promise<() => void>;
+  getFeedPosition(postId: string): Promise<number>;
 }
 
 export class CommentError extends Error {
   code: string;
-  constructor(message: string, code: string);
+  retryAfter?: number;
+  constructor(message: string, code: string, details?: Record<string, unknown>);
 }
 
 export interface MemoryAdapter extends CommentAdapter {
@@ -76,8 +481,115 @@ export interface MemoryAdapter extends CommentAdapter {
 
 export function createMemoryAdapter(): MemoryAdapter;
 
+export type SqlDialect = 'postgres' | 'sqlite';
+
+export type SqlQuery = (sql: string, params: unknown[]) => Promise<Record<string, unknown>[]>;
+
+export interface SqlAdapter extends CommentAdapter {
+  migrate(): Promise<void>;
+}
+
+export interface SqlAdapterOptions {
+  dialect?: SqlDialect;
+  transaction?: <T>(fn: (query: SqlQuery) => Promise<T>) => Promise<T>;
+}
+
+export function createSqlAdapter(query: SqlQuery, options?: SqlAdapterOptions): SqlAdapter;
+export function getSqlSchema(dialect?: SqlDialect): string[];
+
+export interface CacheStore {
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown, ttlMs: number): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+export interface CacheStats {
+  hits: number;
+  misses: number;
+  hitRate: number;
+}
+
+export interface CacheOptions {
+  store?: CacheStore;
+  ttl?: number;
+  fieldMap?: FieldMap;
+}
+
+export type CachedAdapter<A extends CommentAdapter> = A & {
+  getCacheStats(): CacheStats;
+  invalidate(postId?: string): Promise<void>;
+};
+
+export function withCache<A extends CommentAdapter>(adapter: A, options?: CacheOptions): CachedAdapter<A>;
+export function createLruStore(options?: { maxEntries?: number; now?: () => number }): CacheStore & { clear(): Promise<void> };
+
+export interface ConformanceHarness {
+  test(name: string, fn: () => Promise<void>): unknown;
+  describe?(name: string, fn: () => void): unknown;
+  name?: string;
+}
+
+export function runAdapterConformance(
+  createAdapter: () => CommentAdapter | Promise<CommentAdapter>,
+  harness: ConformanceHarness
+): void;
+
+export function createMemoryFeed(options?: MemoryFeedOptions): Feed & { clear(): Promise<void> };
+
+export function createRateLimiter(options?: RateLimiterOptions): RateLimiter;
+export function createMemoryRateLimitStore(): RateLimitStore & { clear(): Promise<void> };
+
+export type ValidatorAction = 'reject' | 'flag';
+
+export const validators: {
+  bannedWords(words: string[], options?: { action?: ValidatorAction | 'mask' }): Validator;
+  linkLimit(max: number, options?: { action?: ValidatorAction }): Validator;
+  duplicateContent(options?: {
+    windowMs?: number;
+    maxPerAuthor?: number;
+    action?: ValidatorAction;
+    now?: () => number;
+  }): Validator;
+  spamFilter(options?: {
+    flagAt?: number;
+    rejectAt?: number;
+    score?: (content: string, context: ModerationContext) => number | Promise<number>;
+  }): Validator;
+  scoreSpam(content: string): number;
+};
+
+export function createNormalizer(fieldMap?: FieldMap): (row: Record<string, unknown> | null | undefined) => Comment | null;
+export function normalizeComment(row: Record<string, unknown> | null | undefined): Comment | null;
+
+export interface RenderedContent {
+  html: string;
+  text: string;
+  links: string[];
+  mentions: string[];
+  hashtags: string[];
+}
+
+export function renderMarkdown(content: string): RenderedContent;
+export function renderComment(comment: Pick<Comment, 'content'> | null | undefined): RenderedContent;
+
+export function parseSearchQuery(query: string): SearchClause[];
+export function createSearchIndex(): SearchIndex;
+
 export function buildTree(comments: Comment[]): Comment[];
-export function flattenTree(tree: Comment[]): Comment[];
-export function sortComments(comments: Comment[], sort?: string): Comment[];
+export function flattenTree(tree: ThreadNode[]): Comment[];
+export function sortComments(comments: Comment[], sort?: SortName): Comment[];
+export function registerSort(name: string, compare: CompareFn): void;
+export function getSortNames(): string[];
+export function wilsonScore(upvotes?: number, downvotes?: number, z?: number): number;
+export function hotScore(comment: Comment): number;
 export function calculateControversy(comment: Comment): number;
-export function countComments(tree: Comment[]): number;
+export function countComments(tree: ThreadNode[]): number;
+export function fillReplyCounts<T extends ThreadNode[]>(tree: T): T;
+export function truncateTree(
+  nodes: Comment[],
+  budgets?: TreeBudgets,
+  parent?: { id: string; offset?: number } | null
+): ThreadNode[];
+export function isMoreStub(node: unknown): node is MoreStub;
+export function pruneDeleted(tree: ThreadNode[]): ThreadNode[];
+export function parseMentions(content: string): string[];
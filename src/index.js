@@ -10,21 +10,63 @@
 const CommentSystem = require('./CommentSystem');
 const CommentError = require('./CommentError');
 const { createMemoryAdapter } = require('./memoryAdapter');
+const { createSqlAdapter, getSqlSchema } = require('./sqlAdapter');
+const { runAdapterConformance } = require('./conformance');
+const { createNormalizer, normalizeComment } = require('./normalize');
+const { renderMarkdown, renderComment } = require('./markdown');
+const { parseSearchQuery, createSearchIndex } = require('./search');
+const { withCache, createLruStore } = require('./cache');
+const { createMemoryFeed } = require('./feed');
+const validators = require('./validators');
+const { createRateLimiter, createMemoryRateLimitStore } = require('./rateLimiter');
 const {
   buildTree,
   flattenTree,
   sortComments,
+  registerSort,
+  getSortNames,
+  wilsonScore,
+  hotScore,
   calculateControversy,
-  countComments
+  countComments,
+  fillReplyCounts,
+  truncateTree,
+  pruneDeleted,
+  isMoreStub,
+  parseMentions
 } = require('./utils');
 
 module.exports = {
   CommentSystem,
   CommentError,
   createMemoryAdapter,
+  createSqlAdapter,
+  getSqlSchema,
+  withCache,
+  createLruStore,
+  createMemoryFeed,
+  runAdapterConformance,
+  createNormalizer,
+  normalizeComment,
+  renderMarkdown,
+  renderComment,
+  parseSearchQuery,
+  createSearchIndex,
+  validators,
+  createRateLimiter,
+  createMemoryRateLimitStore,
   buildTree,
   flattenTree,
   sortComments,
+  registerSort,
+  getSortNames,
+  wilsonScore,
+  hotScore,
   calculateControversy,
-  countComments
+  countComments,
+  fillReplyCounts,
+  truncateTree,
+  pruneDeleted,
+  isMoreStub,
+  parseMentions
 };
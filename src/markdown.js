@@ -0,0 +1,362 @@
+/**
+ * Markdown rendering for comment content
+ * 
+ * Supports a small subset: bold, italics, inline and fenced code, quotes,
+ * links and lists. All other input is escaped, so the HTML is safe to embed
+ * without further sanitising.
+ */
+
+const { parseMentions } = require('./utils');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Only these URL schemes become links; anything else (javascript:, data:, ...) stays text
+const SAFE_URL = /^(?:https?:\/\/|mailto:)/i;
+
+// Where an inline token may start: a backtick run, a link label or a bare URL
+const INLINE_START = /`+|\[|\bhttps?:\/\//gi;
+
+// Characters a bare URL does not end with
+const URL_TRAILING = /[.,;:!?'")\]]/;
+
+const SPACE = /\s/;
+const WORD = /\w/;
+
+// Applied in order; flanked markers only count away from word characters
+const EMPHASIS = [
+  ['**', 'strong', false],
+  ['__', 'strong', false],
+  ['*', 'em', false],
+  ['_', 'em', true]
+];
+
+const FENCE = /^\s*```/;
+const QUOTE = /^\s*>\s?/;
+
+// Quotes nested deeper than this render their remaining > markers as text
+const MAX_QUOTE_DEPTH = 8;
+const LIST_ITEM = /^\s*(?:([-*+])|\d+[.)])\s+/;
+
+const HASHTAG_PATTERN = /(^|[^\w#&])#([A-Za-z][\w-]*\w|[A-Za-z])/g;
+
+const LINK_REL = 'nofollow noopener noreferrer';
+
+function isOrdered(line) {
+  return !LIST_ITEM.exec(line)[1];
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Find the first index at or after from where test passes, or the length
+ * Returns a finder that remembers its last answer: when queries never move
+ * backwards, the text is scanned only once.
+ * @private
+ */
+function createFinder(text, test) {
+  let searched = Infinity;
+  let found = -1;
+  
+  return from => {
+    // Nothing in [searched, found) passed, so the answer stands for any from in between
+    if (from < searched || from > found) {
+      searched = from;
+      found = from;
+      while (found < text.length && !test(text[found], found)) found++;
+    }
+    
+    return found;
+  };
+}
+
+/**
+ * Replace each marker-delimited span with wrap(inner)
+ * A span opens on a marker followed by a non-space and closes on the next
+ * marker after a non-space. Closers are listed up front, so a marker that
+ * never closes costs nothing extra.
+ * @private
+ */
+function replaceEmphasis(source, marker, flanked, wrap) {
+  const size = marker.length;
+  const closers = [];
+  
+  for (let j = source.indexOf(marker, 1); j !== -1; j = source.indexOf(marker, j + 1)) {
+    if (!SPACE.test(source[j - 1]) && !(flanked && WORD.test(source[j + size] ?? ''))) {
+      closers.push(j);
+    }
+  }
+  
+  let result = '';
+  let last = 0;
+  let next = 0;
+  let i = source.indexOf(marker);
+  
+  while (i !== -1) {
+    const opens = i + size < source.length
+      && !SPACE.test(source[i + size])
+      && !(flanked && WORD.test(source[i - 1] ?? ''));
+    
+    if (opens) {
+      while (next < closers.length && closers[next] <= i + size) next++;
+      
+      // No closer after this opener means none after any later one either
+      if (next === closers.length) break;
+      
+      const j = closers[next];
+      result += source.slice(last, i) + wrap(source.slice(i + size, j));
+      last = j + size;
+      i = source.indexOf(marker, last);
+    } else {
+      i = source.indexOf(marker, i + 1);
+    }
+  }
+  
+  return result + source.slice(last);
+}
+
+/**
+ * Apply bold and italics to a run of text without code or links
+ * @private
+ */
+function renderEmphasis(raw) {
+  let html = escapeHtml(raw);
+  let text = raw;
+  
+  for (const [marker, tag, flanked] of EMPHASIS) {
+    html = replaceEmphasis(html, marker, flanked, inner => `<${tag}>${inner}</${tag}>`);
+    text = replaceEmphasis(text, marker, flanked, inner => inner);
+  }
+  
+  return { html, text };
+}
+
+/**
+ * Find code spans, [text](url) links and bare URLs, left to right
+ * Every lookahead goes through a finder or a list of backtick runs, so the
+ * scan is linear however many markers are left unclosed.
+ * @private
+ */
+function* scanInline(raw) {
+  const isSpace = char => SPACE.test(char);
+  const labelEnd = createFinder(raw, char => char === ']' || char === '\n');
+  const hrefEnd = createFinder(raw, char => char === ')' || isSpace(char));
+  const nonSpace = createFinder(raw, char => !isSpace(char));
+  const urlEnd = createFinder(raw, char => char === '<' || char === '>' || isSpace(char));
+  
+  // Backtick runs by length, so a code span closes on the next run of the same length
+  const runs = new Map();
+  for (const match of raw.matchAll(/`+/g)) {
+    const size = match[0].length;
+    if (!runs.has(size)) runs.set(size, { starts: [], next: 0 });
+    runs.get(size).starts.push(match.index);
+  }
+  
+  const start = new RegExp(INLINE_START.source, INLINE_START.flags);
+  let match;
+  
+  while ((match = start.exec(raw))) {
+    const index = match.index;
+    const token = match[0];
+    
+    if (token[0] === '`') {
+      const run = runs.get(token.length);
+      while (run.next < run.starts.length && run.starts[run.next] <= index) run.next++;
+      
+      if (run.next < run.starts.length) {
+        const close = run.starts[run.next];
+        yield { index, end: close + token.length, code: raw.slice(index + token.length, close) };
+        start.lastIndex = close + token.length;
+      }
+    } else if (token === '[') {
+      const close = labelEnd(index + 1);
+      
+      if (raw[close] !== ']' || close === index + 1 || raw[close + 1] !== '(') {
+        continue;
+      }
+      
+      const hrefStart = nonSpace(close + 2);
+      const hrefStop = hrefEnd(hrefStart);
+      const paren = nonSpace(hrefStop);
+      
+      if (hrefStop > hrefStart && raw[paren] === ')') {
+        yield { index, end: paren + 1, label: raw.slice(index + 1, close), href: raw.slice(hrefStart, hrefStop) };
+        start.lastIndex = paren + 1;
+      } else {
+        start.lastIndex = index + 1;
+      }
+    } else {
+      let end = urlEnd(index);
+      while (end > index + token.length && URL_TRAILING.test(raw[end - 1])) end--;
+      
+      if (end > index + token.length) {
+        yield { index, end, url: raw.slice(index, end) };
+        start.lastIndex = end;
+      }
+    }
+  }
+}
+
+/**
+ * Render one block's inline content
+ * `prose` is the plain text minus code and URLs, where mentions and
+ * hashtags are looked for.
+ * @private
+ */
+function renderInline(raw, links) {
+  let html = '';
+  let text = '';
+  let prose = '';
+  let last = 0;
+  
+  function plain(segment) {
+    const rendered = renderEmphasis(segment);
+    html += rendered.html;
+    text += rendered.text;
+    prose += rendered.text;
+  }
+  
+  for (const { index, end, code, label, href, url } of scanInline(raw)) {
+    plain(raw.slice(last, index));
+    last = end;
+    
+    if (code !== undefined) {
+      html += `<code>${escapeHtml(code)}</code>`;
+      text += code;
+    } else if (label !== undefined) {
+      const rendered = renderEmphasis(label);
+      
+      if (SAFE_URL.test(href)) {
+        html += `<a href="${escapeHtml(href)}" rel="${LINK_REL}">${rendered.html}</a>`;
+        links.push(href);
+      } else {
+        html += rendered.html;
+      }
+      text += rendered.text;
+      prose += rendered.text;
+    } else {
+      html += `<a href="${escapeHtml(url)}" rel="${LINK_REL}">${escapeHtml(url)}</a>`;
+      text += url;
+      links.push(url);
+    }
+  }
+  
+  plain(raw.slice(last));
+  
+  return { html, text, prose };
+}
+
+/**
+ * Render a sequence of lines as blocks
+ * @private
+ */
+function renderBlocks(lines, links, depth = 0) {
+  const html = [];
+  const text = [];
+  const prose = [];
+  let i = 0;
+  
+  const isQuote = line => depth < MAX_QUOTE_DEPTH && QUOTE.test(line);
+  const isBlockStart = line => FENCE.test(line) || isQuote(line) || LIST_ITEM.test(line);
+  
+  while (i < lines.length) {
+    const line = lines[i];
+    
+    if (line.trim() === '') {
+      i++;
+    } else if (FENCE.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) {
+        code.push(lines[i++]);
+      }
+      i++;
+      
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      text.push(code.join('\n'));
+    } else if (isQuote(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i++].replace(QUOTE, ''));
+      }
+      
+      const inner = renderBlocks(quoted, links, depth + 1);
+      html.push(`<blockquote>${inner.html}</blockquote>`);
+      text.push(inner.text);
+      prose.push(inner.prose);
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = isOrdered(line);
+      const items = [];
+      
+      while (i < lines.length && LIST_ITEM.test(lines[i]) && isOrdered(lines[i]) === ordered) {
+        items.push(renderInline(lines[i++].replace(LIST_ITEM, ''), links));
+      }
+      
+      const tag = ordered ? 'ol' : 'ul';
+      html.push(`<${tag}>${items.map(item => `<li>${item.html}</li>`).join('')}</${tag}>`);
+      text.push(items.map(item => item.text).join('\n'));
+      prose.push(items.map(item => item.prose).join('\n'));
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() !== '' && !isBlockStart(lines[i])) {
+        paragraph.push(lines[i++].trim());
+      }
+      
+      const inner = renderInline(paragraph.join('\n'), links);
+      html.push(`<p>${inner.html.replace(/\n/g, '<br>')}</p>`);
+      text.push(inner.text);
+      prose.push(inner.prose);
+    }
+  }
+  
+  return { html: html.join(''), text: text.join('\n'), prose: prose.join('\n') };
+}
+
+/**
+ * Render Markdown content to safe HTML and extract its metadata
+ * 
+ * @param {string} content - Markdown content
+ * @returns {Object} { html, text, links, mentions, hashtags } where text is
+ *   the content with markup stripped
+ */
+function renderMarkdown(content) {
+  const links = [];
+  const lines = String(content ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const { html, text, prose } = renderBlocks(lines, links);
+  
+  const hashtags = new Set();
+  for (const match of prose.matchAll(HASHTAG_PATTERN)) {
+    hashtags.add(match[2]);
+  }
+  
+  return {
+    html,
+    text,
+    links: Array.from(new Set(links)),
+    mentions: parseMentions(prose),
+    hashtags: Array.from(hashtags)
+  };
+}
+
+/**
+ * Render a comment's content
+ * 
+ * @param {Object} comment - Comment
+ * @returns {Object} { html, text, links, mentions, hashtags }
+ */
+function renderComment(comment) {
+  return renderMarkdown(comment ? comment.content : '');
+}
+
+module.exports = {
+  renderMarkdown,
+  renderComment,
+  escapeHtml
+};
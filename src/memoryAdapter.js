@@ -3,6 +3,7 @@
  */
 
 const { sortComments } = require('./utils');
+const { createSearchIndex, sortSearchResults } = require('./search');
 
 /**
  * Create an in-memory storage adapter
@@ -11,14 +12,131 @@ const { sortComments } = require('./utils');
  */
 function createMemoryAdapter() {
   const comments = new Map();
+  // parentId -> Set(commentId), so replies and ancestors need no scans
+  const children = new Map();
+  // authorId -> Set(commentId)
+  const byAuthor = new Map();
+  // postId -> number of stored comments
+  const postCounts = new Map();
+  // commentId -> Map(agentId -> vote)
+  const votes = new Map();
+  const revisions = new Map();
+  // commentId -> Map(reaction -> Set(agentId))
+  const reactions = new Map();
+  const notifications = new Map();
+  // Content of comments readers can see: not deleted or removed
+  const index = createSearchIndex();
   let idCounter = 0;
+  let notificationCounter = 0;
+  // Tail of the transaction queue; each transaction waits for the one before
+  let lastTransaction = Promise.resolve();
   
   function generateId() {
     idCounter++;
     return `comment_${idCounter}`;
   }
   
-  return {
+  function indexAuthor(comment) {
+    if (comment.authorId == null) return;
+    
+    if (!byAuthor.has(comment.authorId)) {
+      byAuthor.set(comment.authorId, new Set());
+    }
+    byAuthor.get(comment.authorId).add(comment.id);
+  }
+  
+  function unindexAuthor(comment) {
+    const ids = byAuthor.get(comment.authorId);
+    if (!ids) return;
+    
+    ids.delete(comment.id);
+    if (ids.size === 0) byAuthor.delete(comment.authorId);
+  }
+  
+  function hasReplies(id) {
+    return (children.get(id)?.size ?? 0) > 0;
+  }
+  
+  function reindex(comment) {
+    if (comment.isDeleted || comment.isRemoved) {
+      index.remove(comment.id);
+    } else {
+      index.add(comment.id, comment.content);
+    }
+  }
+  
+  function anonymize(comment) {
+    unindexAuthor(comment);
+    comment.content = '[deleted]';
+    comment.authorId = null;
+    comment.isDeleted = true;
+    revisions.delete(comment.id);
+    index.remove(comment.id);
+  }
+  
+  // Apply a comment arriving (1) or leaving (-1) to its post's count and its ancestors' counters
+  function countComment(comment, delta) {
+    const count = (postCounts.get(comment.postId) || 0) + delta;
+    
+    if (count > 0) {
+      postCounts.set(comment.postId, count);
+    } else {
+      postCounts.delete(comment.postId);
+    }
+    
+    const parent = comment.parentId ? comments.get(comment.parentId) : null;
+    if (parent) {
+      parent.replyCount = (parent.replyCount || 0) + delta;
+    }
+    
+    // A comment leaving takes any replies still below it out of the subtree too
+    const size = delta * (1 + (comment.descendantCount || 0));
+    
+    for (let ancestor = parent; ancestor; ancestor = comments.get(ancestor.parentId)) {
+      ancestor.descendantCount = (ancestor.descendantCount || 0) + size;
+    }
+  }
+  
+  function erase(id) {
+    const comment = comments.get(id);
+    if (comment && comment.parentId) {
+      children.get(comment.parentId)?.delete(id);
+    }
+    if (comment) {
+      unindexAuthor(comment);
+      countComment(comment, -1);
+    }
+    
+    comments.delete(id);
+    children.delete(id);
+    index.remove(id);
+    votes.delete(id);
+    revisions.delete(id);
+    reactions.delete(id);
+    dropNotifications(notification => notification.commentId === id);
+  }
+  
+  function dropNotifications(match) {
+    for (const [id, notification] of notifications) {
+      if (match(notification)) {
+        notifications.delete(id);
+      }
+    }
+  }
+  
+  const adapter = {
+    /**
+     * Run fn with this adapter, one transaction at a time
+     * Method calls are atomic on their own; transactions additionally keep
+     * multi-step flows from interleaving. Changes are not rolled back when
+     * fn throws.
+     */
+    async transaction(fn) {
+      const run = lastTransaction.then(() => fn(inTransaction));
+      lastTransaction = run.catch(() => {});
+      return run;
+    },
+
     /**
      * Get a comment by ID
      */
@@ -50,12 +168,57 @@ function createMemoryAdapter() {
       const saved = {
         id,
         ...comment,
+        replyCount: 0,
+        descendantCount: 0,
         createdAt: comment.createdAt || new Date()
       };
       comments.set(id, saved);
+      countComment(saved, 1);
+      
+      if (saved.parentId) {
+        if (!children.has(saved.parentId)) {
+          children.set(saved.parentId, new Set());
+        }
+        children.get(saved.parentId).add(id);
+      }
+      
+      indexAuthor(saved);
+      reindex(saved);
       return saved;
     },
 
+    /**
+     * Apply field changes to a comment
+     */
+    async updateComment(id, changes) {
+      const comment = comments.get(id);
+      if (!comment) {
+        return null;
+      }
+      unindexAuthor(comment);
+      Object.assign(comment, changes);
+      indexAuthor(comment);
+      reindex(comment);
+      return comment;
+    },
+
+    /**
+     * Store a previous revision of a comment
+     */
+    async saveRevision(commentId, revision) {
+      if (!revisions.has(commentId)) {
+        revisions.set(commentId, []);
+      }
+      revisions.get(commentId).push({ ...revision });
+    },
+
+    /**
+     * Get previous revisions of a comment, oldest first
+     */
+    async getRevisions(commentId) {
+      return (revisions.get(commentId) || []).map(revision => ({ ...revision }));
+    },
+
     /**
      * Delete a comment (soft delete)
      */
@@ -64,7 +227,75 @@ function createMemoryAdapter() {
       if (comment) {
         comment.content = '[deleted]';
         comment.isDeleted = true;
+        index.remove(id);
+      }
+    },
+
+    /**
+     * Permanently delete a single comment
+     */
+    async purgeComment(id) {
+      erase(id);
+    },
+
+    /**
+     * Erase an agent's data: their comments, revisions, votes and reactions
+     * In 'remove' mode comments are deleted outright unless other comments
+     * still reply to them, in which case they are anonymised. Votes are
+     * taken back out of the tallies, as reactions are out of the counts.
+     */
+    async purgeAgent(agentId, { mode = 'anonymize' } = {}) {
+      const authored = Array.from(byAuthor.get(agentId) || [], id => comments.get(id))
+        .sort((a, b) => (b.depth ?? 0) - (a.depth ?? 0));
+      
+      let removed = 0;
+      let anonymized = 0;
+      
+      for (const comment of authored) {
+        if (mode === 'remove' && !hasReplies(comment.id)) {
+          erase(comment.id);
+          removed++;
+        } else {
+          anonymize(comment);
+          anonymized++;
+        }
+      }
+      
+      for (const [commentId, ledger] of votes) {
+        const value = ledger.get(agentId);
+        if (!value) continue;
+        
+        const comment = comments.get(commentId);
+        comment.score = (comment.score || 0) - value;
+        if (value === 1) comment.upvotes = (comment.upvotes || 0) - 1;
+        else comment.downvotes = (comment.downvotes || 0) - 1;
+        
+        ledger.delete(agentId);
+      }
+      
+      for (const byType of reactions.values()) {
+        for (const agents of byType.values()) {
+          agents.delete(agentId);
+        }
+      }
+      
+      dropNotifications(notification => notification.agentId === agentId || notification.actorId === agentId);
+      
+      return { removed, anonymized };
+    },
+
+    /**
+     * Permanently delete every comment of a post
+     */
+    async deletePost(postId) {
+      let count = 0;
+      for (const comment of Array.from(comments.values())) {
+        if (comment.postId === postId) {
+          erase(comment.id);
+          count++;
+        }
       }
+      return count;
     },
 
     /**
@@ -80,39 +311,259 @@ function createMemoryAdapter() {
     },
 
     /**
-     * Get replies to a comment
+     * Get an agent's vote on a comment
+     */
+    async getVote(commentId, agentId) {
+      return votes.get(commentId)?.get(agentId) ?? null;
+    },
+
+    /**
+     * Record an agent's vote and apply the tally changes
      */
-    async getReplies(commentId, { sort = 'top', limit = 25 } = {}) {
-      const replies = [];
+    async saveVote(commentId, agentId, value, delta) {
+      const comment = comments.get(commentId);
+      if (!comment) {
+        return { score: 0, upvotes: 0, downvotes: 0 };
+      }
       
-      for (const comment of comments.values()) {
-        if (comment.parentId === commentId) {
-          replies.push(comment);
+      if (!votes.has(commentId)) {
+        votes.set(commentId, new Map());
+      }
+      
+      if (value === 0) {
+        votes.get(commentId).delete(agentId);
+      } else {
+        votes.get(commentId).set(agentId, value);
+      }
+      
+      comment.score = (comment.score || 0) + delta.score;
+      comment.upvotes = (comment.upvotes || 0) + delta.upvotes;
+      comment.downvotes = (comment.downvotes || 0) + delta.downvotes;
+      
+      return {
+        score: comment.score,
+        upvotes: comment.upvotes,
+        downvotes: comment.downvotes
+      };
+    },
+
+    /**
+     * Add an agent's reaction to a comment
+     * Returns false when the agent already reacted with that reaction.
+     */
+    async saveReaction(commentId, agentId, reaction) {
+      if (!reactions.has(commentId)) {
+        reactions.set(commentId, new Map());
+      }
+      
+      const byType = reactions.get(commentId);
+      if (!byType.has(reaction)) {
+        byType.set(reaction, new Set());
+      }
+      
+      const agents = byType.get(reaction);
+      if (agents.has(agentId)) {
+        return false;
+      }
+      
+      agents.add(agentId);
+      return true;
+    },
+
+    /**
+     * Remove an agent's reaction from a comment
+     * Returns false when the agent had not reacted with that reaction.
+     */
+    async deleteReaction(commentId, agentId, reaction) {
+      return reactions.get(commentId)?.get(reaction)?.delete(agentId) ?? false;
+    },
+
+    /**
+     * Get reaction counts for comments
+     * Returns { [commentId]: { [reaction]: count } } for comments with reactions.
+     */
+    async getReactionCounts(commentIds) {
+      const counts = {};
+      
+      for (const id of commentIds) {
+        for (const [reaction, agents] of reactions.get(id) || []) {
+          if (agents.size === 0) continue;
+          counts[id] = counts[id] || {};
+          counts[id][reaction] = agents.size;
         }
       }
       
-      return sortComments(replies, sort).slice(0, limit);
+      return counts;
     },
 
     /**
-     * Get comment count for a post
+     * Store a notification for an agent
      */
-    async getCount(postId) {
-      let count = 0;
-      for (const comment of comments.values()) {
-        if (comment.postId === postId) {
-          count++;
+    async saveNotification(notification) {
+      notificationCounter++;
+      const saved = {
+        id: `notification_${notificationCounter}`,
+        ...notification,
+        isRead: Boolean(notification.isRead),
+        createdAt: notification.createdAt || new Date()
+      };
+      notifications.set(saved.id, saved);
+      return { ...saved };
+    },
+
+    /**
+     * Get an agent's notifications, newest first
+     */
+    async getNotifications(agentId, { unreadOnly = false, limit = 25, offset = 0 } = {}) {
+      const matching = [];
+      
+      for (const notification of notifications.values()) {
+        if (notification.agentId === agentId && !(unreadOnly && notification.isRead)) {
+          matching.push(notification);
         }
       }
+      
+      // Map order is insertion order, so reversing gives newest first
+      return matching
+        .reverse()
+        .slice(offset, offset + limit)
+        .map(notification => ({ ...notification }));
+    },
+
+    /**
+     * Mark an agent's notifications read, all of them when no IDs are given
+     */
+    async markNotificationsRead(agentId, ids) {
+      const wanted = ids ? new Set(ids) : null;
+      let count = 0;
+      
+      for (const notification of notifications.values()) {
+        if (notification.agentId !== agentId || notification.isRead) continue;
+        if (wanted && !wanted.has(notification.id)) continue;
+        notification.isRead = true;
+        count++;
+      }
+      
       return count;
     },
 
+    /**
+     * Get replies to a comment
+     */
+    async getReplies(commentId, { sort = 'top', limit = 25, offset = 0 } = {}) {
+      const replies = Array.from(children.get(commentId) || [], id => comments.get(id));
+      return sortComments(replies, sort).slice(offset, offset + limit);
+    },
+
+    /**
+     * Get a comment's ancestors, nearest first
+     */
+    async getAncestors(commentId, { limit = 100 } = {}) {
+      const ancestors = [];
+      let current = comments.get(commentId);
+      
+      while (current && current.parentId && ancestors.length < limit) {
+        current = comments.get(current.parentId);
+        if (current) ancestors.push(current);
+      }
+      
+      return ancestors;
+    },
+
+    /**
+     * Get an agent's comments
+     */
+    async getCommentsByAuthor(authorId, { sort = 'new', limit = 25, offset = 0, includeDeleted = false } = {}) {
+      const authored = [];
+      
+      for (const id of byAuthor.get(authorId) || []) {
+        const comment = comments.get(id);
+        if (includeDeleted || !comment.isDeleted) {
+          authored.push(comment);
+        }
+      }
+      
+      return sortComments(authored, sort).slice(offset, offset + limit);
+    },
+
+    /**
+     * Get totals over an agent's comments that are not deleted
+     * Replies received count other agents' replies that are not deleted.
+     */
+    async getAgentStats(agentId) {
+      let commentCount = 0;
+      let totalScore = 0;
+      let totalDepth = 0;
+      let repliesReceived = 0;
+      
+      for (const id of byAuthor.get(agentId) || []) {
+        const comment = comments.get(id);
+        
+        for (const replyId of children.get(id) || []) {
+          const reply = comments.get(replyId);
+          if (!reply.isDeleted && reply.authorId !== agentId) repliesReceived++;
+        }
+        
+        if (comment.isDeleted) continue;
+        
+        commentCount++;
+        totalScore += comment.score || 0;
+        totalDepth += comment.depth || 0;
+      }
+      
+      return {
+        commentCount,
+        totalScore,
+        repliesReceived,
+        averageDepth: commentCount > 0 ? totalDepth / commentCount : 0
+      };
+    },
+
+    /**
+     * Search comment content
+     * Deleted and removed comments are not indexed, so never match.
+     */
+    async searchComments(query, { postId, authorId, since, until, sort = 'relevance', limit = 25, offset = 0 } = {}) {
+      const relevance = index.search(query);
+      const matches = [];
+      
+      for (const id of relevance.keys()) {
+        const comment = comments.get(id);
+        const time = new Date(comment.createdAt).getTime();
+        
+        if (postId != null && comment.postId !== postId) continue;
+        if (authorId != null && comment.authorId !== authorId) continue;
+        if (since != null && time < new Date(since).getTime()) continue;
+        if (until != null && time >= new Date(until).getTime()) continue;
+        
+        matches.push(comment);
+      }
+      
+      return sortSearchResults(matches, relevance, sort).slice(offset, offset + limit);
+    },
+
+    /**
+     * Get comment count for a post
+     */
+    async getCount(postId) {
+      return postCounts.get(postId) || 0;
+    },
+
     /**
      * Clear all data (for testing)
      */
     async clear() {
       comments.clear();
+      children.clear();
+      byAuthor.clear();
+      postCounts.clear();
+      votes.clear();
+      revisions.clear();
+      reactions.clear();
+      notifications.clear();
+      index.clear();
       idCounter = 0;
+      notificationCounter = 0;
     },
 
     /**
@@ -122,6 +573,11 @@ function createMemoryAdapter() {
       return Array.from(comments.values());
     }
   };
+  
+  // Handed to transaction callbacks; nested transactions join the running one
+  const inTransaction = { ...adapter, transaction: async fn => fn(inTransaction) };
+  
+  return adapter;
 }
 
 module.exports = { createMemoryAdapter };
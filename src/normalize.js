@@ -0,0 +1,195 @@
+/**
+ * Field normalisation for adapter rows
+ * Every comment leaving an adapter is mapped to the canonical Comment shape.
+ */
+
+// Canonical comment fields and how their values are coerced
+const FIELD_TYPES = {
+  id: 'id',
+  postId: 'id',
+  authorId: 'id',
+  content: 'string',
+  parentId: 'id',
+  depth: 'number',
+  score: 'number',
+  upvotes: 'number',
+  downvotes: 'number',
+  isDeleted: 'boolean',
+  status: 'string',
+  flags: 'json',
+  isRemoved: 'boolean',
+  removedBy: 'id',
+  removalReason: 'string',
+  removedAt: 'date',
+  isLocked: 'boolean',
+  isPinned: 'boolean',
+  replyCount: 'number',
+  descendantCount: 'number',
+  createdAt: 'date',
+  editedAt: 'date'
+};
+
+// Filled in when a row does not carry the field at all
+const DEFAULTS = {
+  parentId: null,
+  depth: 0,
+  score: 0,
+  upvotes: 0,
+  downvotes: 0,
+  isDeleted: false
+};
+
+function toSnakeCase(field) {
+  return field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+function coerce(type, value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  
+  switch (type) {
+    case 'id':
+      return String(value);
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return Boolean(value);
+    case 'date':
+      return value instanceof Date ? value : new Date(value);
+    case 'json':
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Resolve a field mapping to canonical field -> candidate row keys
+ * @private
+ */
+function resolveKeys(fieldMap) {
+  const keys = {};
+  
+  for (const field of Object.keys(FIELD_TYPES)) {
+    if (fieldMap === 'camelCase') {
+      keys[field] = [field];
+    } else if (fieldMap === 'snake_case') {
+      keys[field] = [toSnakeCase(field)];
+    } else if (fieldMap && typeof fieldMap === 'object') {
+      keys[field] = [fieldMap[field] || field];
+    } else {
+      keys[field] = [field, toSnakeCase(field)];
+    }
+  }
+  
+  return keys;
+}
+
+/**
+ * Create a row normaliser
+ * 
+ * @param {string|Object} fieldMap - auto (default: camelCase, falling back to
+ *   snake_case), camelCase, snake_case, or an object of canonical field -> row key
+ * @returns {Function} normalize(row) returning a Comment, or null for no row
+ */
+function createNormalizer(fieldMap = 'auto') {
+  const keys = resolveKeys(fieldMap);
+  
+  return function normalize(row) {
+    if (!row) {
+      return null;
+    }
+    
+    const comment = { ...row };
+    
+    for (const [field, type] of Object.entries(FIELD_TYPES)) {
+      const key = keys[field].find(candidate => row[candidate] !== undefined);
+      
+      for (const candidate of keys[field]) {
+        if (candidate !== field) delete comment[candidate];
+      }
+      
+      if (key !== undefined) {
+        comment[field] = coerce(type, row[key]);
+      } else if (field in DEFAULTS) {
+        comment[field] = DEFAULTS[field];
+      }
+    }
+    
+    return comment;
+  };
+}
+
+/**
+ * Normalise a single row with automatic camelCase/snake_case detection
+ * 
+ * @param {Object} row - Adapter row
+ * @returns {Object|null} Comment
+ */
+const normalizeComment = createNormalizer();
+
+// Adapter methods whose results are comments or lists of comments
+const SINGLE_RESULT_METHODS = ['getComment', 'saveComment', 'updateComment'];
+const LIST_RESULT_METHODS = ['getComments', 'getReplies', 'getAncestors', 'searchComments', 'getCommentsByAuthor'];
+
+/**
+ * Copy an adapter's methods, bound to it, onto a plain object
+ * Includes methods from the prototype chain, so class-based adapters work.
+ * 
+ * @param {Object} adapter - Storage adapter
+ * @returns {Object} Method name -> bound function
+ */
+function bindAdapterMethods(adapter) {
+  const bound = {};
+  
+  for (let proto = adapter; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      if (bound[name] || name === 'constructor' || typeof adapter[name] !== 'function') continue;
+      bound[name] = adapter[name].bind(adapter);
+    }
+  }
+  
+  return bound;
+}
+
+/**
+ * Wrap an adapter so every comment it returns is normalised
+ * Methods the adapter does not implement stay absent on the wrapper.
+ * 
+ * @param {Object} adapter - Storage adapter
+ * @param {Function} normalize - Row normaliser
+ * @returns {Object} Normalising adapter
+ */
+function normalizeAdapter(adapter, normalize) {
+  const wrapped = bindAdapterMethods(adapter);
+  
+  for (const name of SINGLE_RESULT_METHODS) {
+    if (wrapped[name]) {
+      const method = wrapped[name];
+      wrapped[name] = async (...args) => normalize(await method(...args));
+    }
+  }
+  
+  for (const name of LIST_RESULT_METHODS) {
+    if (wrapped[name]) {
+      const method = wrapped[name];
+      wrapped[name] = async (...args) => ((await method(...args)) || []).map(normalize);
+    }
+  }
+  
+  // The adapter handed to a transaction callback is normalised too
+  if (wrapped.transaction) {
+    const transaction = wrapped.transaction;
+    wrapped.transaction = fn => transaction(tx => fn(normalizeAdapter(tx, normalize)));
+  }
+  
+  return wrapped;
+}
+
+module.exports = {
+  createNormalizer,
+  normalizeComment,
+  normalizeAdapter,
+  bindAdapterMethods
+};
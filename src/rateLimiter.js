@@ -0,0 +1,113 @@
+/**
+ * Token bucket rate limiting for comment creation
+ */
+
+/**
+ * Refill a bucket for the time since it was last used and take one token
+ * 
+ * @param {Object|null} bucket - Stored bucket ({ tokens, updatedAt }), or null for a full one
+ * @param {Object} options - { capacity, refillPerSecond, now }
+ * @returns {Object} { allowed, retryAfter, bucket } with the bucket to store
+ */
+function takeToken(bucket, { capacity, refillPerSecond, now }) {
+  let tokens = capacity;
+  
+  if (bucket) {
+    const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+    tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+  }
+  
+  if (tokens < 1) {
+    return {
+      allowed: false,
+      retryAfter: Math.ceil((1 - tokens) / refillPerSecond),
+      bucket: { tokens, updatedAt: now }
+    };
+  }
+  
+  return { allowed: true, retryAfter: 0, bucket: { tokens: tokens - 1, updatedAt: now } };
+}
+
+/**
+ * Create an in-memory bucket store
+ * 
+ * Shared stores (Redis, a database table) implement take() as one atomic
+ * operation, such as a Redis script, so concurrent requests cannot all
+ * spend the same token.
+ * 
+ * @returns {Object} Store with take(key, { capacity, refillPerSecond, now })
+ */
+function createMemoryRateLimitStore() {
+  const buckets = new Map();
+  
+  return {
+    /**
+     * Take one token from a bucket, refilling it first
+     * Reads and writes without awaiting in between, so calls cannot interleave.
+     * 
+     * @returns {Promise<Object>} { allowed, retryAfter } with retryAfter in seconds
+     */
+    async take(key, options) {
+      const entry = buckets.get(key);
+      const bucket = entry && entry.expiresAt > options.now ? entry.bucket : null;
+      const result = takeToken(bucket, options);
+      
+      // Kept until it would have refilled completely
+      const fullRefillMs = Math.ceil((options.capacity / options.refillPerSecond) * 1000);
+      buckets.set(key, { bucket: result.bucket, expiresAt: options.now + fullRefillMs });
+      
+      return { allowed: result.allowed, retryAfter: result.retryAfter };
+    },
+
+    /**
+     * Clear all buckets (for testing)
+     */
+    async clear() {
+      buckets.clear();
+    }
+  };
+}
+
+/**
+ * Create a token bucket rate limiter keyed by author (and optionally post)
+ * 
+ * @param {Object} options - Limiter options
+ * @param {number} options.capacity - Burst size (default 10)
+ * @param {number} options.refillPerSecond - Tokens regained per second (default 0.2)
+ * @param {boolean} options.perPost - Keep a separate bucket per post (default false)
+ * @param {Object} options.store - Bucket store (default in-memory)
+ * @param {Function} options.now - Clock in milliseconds, for testing
+ * @returns {Object} Limiter with consume({ authorId, postId })
+ */
+function createRateLimiter({
+  capacity = 10,
+  refillPerSecond = 0.2,
+  perPost = false,
+  store = createMemoryRateLimitStore(),
+  now = Date.now
+} = {}) {
+  if (!(capacity > 0) || !(refillPerSecond > 0)) {
+    throw new Error('Rate limiter capacity and refillPerSecond must be positive');
+  }
+  
+  if (typeof store.take !== 'function') {
+    throw new Error('Rate limit store must implement take(key, options)');
+  }
+  
+  return {
+    /**
+     * Take one token for an agent
+     * 
+     * @returns {Promise<Object>} { allowed, retryAfter } with retryAfter in seconds
+     */
+    async consume({ authorId, postId }) {
+      const key = perPost ? `${authorId}:${postId}` : String(authorId);
+      return store.take(key, { capacity, refillPerSecond, now: now() });
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  createMemoryRateLimitStore
+};
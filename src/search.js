@@ -0,0 +1,208 @@
+/**
+ * Full-text search over comment content
+ * 
+ * Queries are whitespace-separated terms that must all match. "Quoted
+ * phrases" match consecutive words and a trailing * matches by prefix.
+ * Matching is case-insensitive and results are ranked with BM25.
+ */
+
+const { sortComments } = require('./utils');
+
+// Runs of letters, digits and underscores in any script
+const WORD = /[\p{L}\p{N}_]+/gu;
+
+// Quoted phrases or bare terms
+const QUERY_PART = /"([^"]*)"?|(\S+)/g;
+
+// BM25 parameters: term frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Split text into case-folded words
+ * 
+ * @param {string} text - Text
+ * @returns {Array<string>} Words in order
+ */
+function tokenize(text) {
+  return String(text ?? '').normalize('NFKC').toLowerCase().match(WORD) || [];
+}
+
+/**
+ * Parse a search query into clauses
+ * Each clause is a run of words that must appear consecutively; when prefix
+ * is set the last word matches any word it begins.
+ * 
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Clauses ({ words, prefix })
+ */
+function parseSearchQuery(query) {
+  const clauses = [];
+  
+  for (const match of String(query ?? '').matchAll(QUERY_PART)) {
+    const [, phrase, term] = match;
+    const words = tokenize(phrase ?? term);
+    
+    if (words.length > 0) {
+      clauses.push({ words, prefix: term !== undefined && term.endsWith('*') });
+    }
+  }
+  
+  return clauses;
+}
+
+/**
+ * Create an inverted index of comment content
+ * 
+ * @returns {Object} Index with add(id, text), remove(id), search(query) and clear()
+ */
+function createSearchIndex() {
+  // word -> Map(id -> positions)
+  const postings = new Map();
+  // id -> { length, words }, so documents can be removed without a scan
+  const documents = new Map();
+  let totalLength = 0;
+  
+  function removeDocument(id) {
+    const document = documents.get(id);
+    if (!document) return;
+    
+    for (const word of document.words) {
+      const ids = postings.get(word);
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(word);
+    }
+    
+    totalLength -= document.length;
+    documents.delete(id);
+  }
+  
+  // id -> Set(positions) for a word, or every word it begins when prefix is set
+  function positionsOf(word, prefix) {
+    const found = new Map();
+    const words = prefix ? Array.from(postings.keys()).filter(key => key.startsWith(word)) : [word];
+    
+    for (const key of words) {
+      for (const [id, positions] of postings.get(key) || []) {
+        if (!found.has(id)) found.set(id, new Set());
+        for (const position of positions) found.get(id).add(position);
+      }
+    }
+    
+    return found;
+  }
+  
+  // id -> number of times the clause occurs
+  function matchClause({ words, prefix }) {
+    const lists = words.map((word, i) => positionsOf(word, prefix && i === words.length - 1));
+    const counts = new Map();
+    
+    for (const [id, starts] of lists[0]) {
+      let count = 0;
+      
+      for (const start of starts) {
+        if (lists.every((list, i) => list.get(id)?.has(start + i))) count++;
+      }
+      
+      if (count > 0) counts.set(id, count);
+    }
+    
+    return counts;
+  }
+  
+  return {
+    /**
+     * Index a document, replacing any earlier text for the ID
+     */
+    add(id, text) {
+      removeDocument(id);
+      
+      const words = tokenize(text);
+      
+      words.forEach((word, position) => {
+        if (!postings.has(word)) postings.set(word, new Map());
+        
+        const ids = postings.get(word);
+        if (!ids.has(id)) ids.set(id, []);
+        ids.get(id).push(position);
+      });
+      
+      documents.set(id, { length: words.length, words: new Set(words) });
+      totalLength += words.length;
+    },
+
+    /**
+     * Remove a document
+     */
+    remove(id) {
+      removeDocument(id);
+    },
+
+    /**
+     * Find documents matching every clause of a query
+     * Returns Map(id -> relevance), unordered.
+     */
+    search(query) {
+      const clauses = typeof query === 'string' ? parseSearchQuery(query) : query;
+      const results = new Map();
+      
+      if (clauses.length === 0 || documents.size === 0) {
+        return results;
+      }
+      
+      const averageLength = totalLength / documents.size || 1;
+      
+      clauses.forEach((clause, i) => {
+        const counts = matchClause(clause);
+        const idf = Math.log(1 + (documents.size - counts.size + 0.5) / (counts.size + 0.5));
+        
+        for (const id of i === 0 ? counts.keys() : Array.from(results.keys())) {
+          const count = counts.get(id);
+          
+          if (!count) {
+            results.delete(id);
+            continue;
+          }
+          
+          const norm = K1 * (1 - B + B * documents.get(id).length / averageLength);
+          results.set(id, (results.get(id) || 0) + idf * count * (K1 + 1) / (count + norm));
+        }
+      });
+      
+      return results;
+    },
+
+    /**
+     * Remove every document
+     */
+    clear() {
+      postings.clear();
+      documents.clear();
+      totalLength = 0;
+    }
+  };
+}
+
+/**
+ * Order search matches
+ * 
+ * @param {Array} comments - Matching comments
+ * @param {Map} relevance - Comment ID -> relevance, from an index search
+ * @param {string} sort - relevance, or any comment sort
+ * @returns {Array} Sorted comments
+ */
+function sortSearchResults(comments, relevance, sort = 'relevance') {
+  if (sort !== 'relevance') {
+    return sortComments(comments, sort);
+  }
+  
+  // Sorting is stable, so equally relevant comments stay newest first
+  return sortComments(comments, 'new').sort((a, b) => relevance.get(b.id) - relevance.get(a.id));
+}
+
+module.exports = {
+  tokenize,
+  parseSearchQuery,
+  createSearchIndex,
+  sortSearchResults
+};
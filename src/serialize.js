@@ -0,0 +1,238 @@
+/**
+ * Thread export formats
+ * JSON (versioned, importable), a Markdown transcript and ActivityStreams 2.0.
+ */
+
+const CommentError = require('./CommentError');
+const { flattenTree } = require('./utils');
+const { escapeHtml } = require('./markdown');
+
+const EXPORT_VERSION = 1;
+
+const FORMATS = ['json', 'markdown', 'activitystreams'];
+
+const AS_CONTEXT = 'https://www.w3.org/ns/activitystreams';
+
+// Fields written to the JSON format, in order
+const EXPORT_FIELDS = [
+  'id',
+  'parentId',
+  'authorId',
+  'content',
+  'depth',
+  'score',
+  'upvotes',
+  'downvotes',
+  'status',
+  'flags',
+  'isDeleted',
+  'isRemoved',
+  'isLocked',
+  'isPinned',
+  'reactions',
+  'createdAt',
+  'editedAt'
+];
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function toJson(postId, comments) {
+  return {
+    version: EXPORT_VERSION,
+    postId,
+    exportedAt: new Date().toISOString(),
+    count: comments.length,
+    comments: comments.map(comment => {
+      const entry = {};
+      
+      for (const field of EXPORT_FIELDS) {
+        if (comment[field] === undefined) continue;
+        entry[field] = field === 'createdAt' || field === 'editedAt' ? toIso(comment[field]) : comment[field];
+      }
+      
+      return entry;
+    })
+  };
+}
+
+function toMarkdown(postId, comments) {
+  const lines = [`# Thread ${postId}`, ''];
+  
+  for (const comment of comments) {
+    const indent = '  '.repeat(comment.depth ?? 0);
+    const author = comment.authorId ? `**${comment.authorId}**` : '*[deleted]*';
+    const edited = comment.editedAt ? ', edited' : '';
+    
+    lines.push(`${indent}- ${author} · ${toIso(comment.createdAt)} · score ${comment.score ?? 0}${edited}`);
+    
+    // Quoted so Markdown in the content cannot run into the thread's own list
+    for (const line of String(comment.content).split('\n')) {
+      lines.push(`${indent}  > ${line}`.trimEnd());
+    }
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+function toActivityStreams(postId, comments, { baseUrl }) {
+  const uri = (kind, id) => (baseUrl
+    ? `${baseUrl.replace(/\/$/, '')}/${kind}s/${encodeURIComponent(id)}`
+    : `urn:moltbook:${kind}:${id}`);
+  
+  const post = uri('post', postId);
+  
+  const items = comments.map(comment => {
+    const id = uri('comment', comment.id);
+    const inReplyTo = comment.parentId ? uri('comment', comment.parentId) : post;
+    
+    if (comment.isDeleted) {
+      return {
+        type: 'Tombstone',
+        id,
+        formerType: 'Note',
+        inReplyTo,
+        context: post,
+        published: toIso(comment.createdAt)
+      };
+    }
+    
+    const note = {
+      type: 'Note',
+      id,
+      attributedTo: comment.authorId ? uri('agent', comment.authorId) : null,
+      content: comment.contentHtml || `<p>${escapeHtml(comment.content).replace(/\n/g, '<br>')}</p>`,
+      mediaType: 'text/html',
+      inReplyTo,
+      context: post,
+      published: toIso(comment.createdAt)
+    };
+    
+    if (comment.contentHtml) {
+      note.source = { content: comment.content, mediaType: 'text/markdown' };
+    }
+    
+    if (comment.editedAt) {
+      note.updated = toIso(comment.editedAt);
+    }
+    
+    return note;
+  });
+  
+  return {
+    '@context': AS_CONTEXT,
+    type: 'OrderedCollection',
+    id: `${post}${baseUrl ? '/' : ':'}comments`,
+    totalItems: items.length,
+    orderedItems: items
+  };
+}
+
+/**
+ * Throw unless the export format is known
+ * 
+ * @param {string} format - Export format
+ */
+function assertFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new CommentError(`Export format must be one of ${FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+}
+
+/**
+ * Serialise a comment tree
+ * 
+ * @param {string} postId - Post ID
+ * @param {Array} tree - Nested comment tree
+ * @param {Object} options - Export options
+ * @param {string} options.format - json, markdown or activitystreams
+ * @param {string} options.baseUrl - ActivityStreams: base for comment, agent and post URIs
+ * @returns {Object|string} JSON object, Markdown string or ActivityStreams collection
+ */
+function serializeThread(postId, tree, { format = 'json', baseUrl = null } = {}) {
+  assertFormat(format);
+  
+  // Depth-first thread order, so replies follow their parent
+  const comments = flattenTree(tree);
+  
+  if (format === 'markdown') {
+    return toMarkdown(postId, comments);
+  }
+  
+  if (format === 'activitystreams') {
+    return toActivityStreams(postId, comments, { baseUrl });
+  }
+  
+  return toJson(postId, comments);
+}
+
+/**
+ * Validate a JSON export and order its comments parents first
+ * 
+ * @param {Object|string} data - JSON export, parsed or as a string
+ * @returns {Object} { postId, comments }
+ */
+function parseThreadExport(data) {
+  let parsed = data;
+  
+  if (typeof data === 'string') {
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      throw new CommentError('Export is not valid JSON', 'INVALID_EXPORT');
+    }
+  }
+  
+  if (!parsed || parsed.version !== EXPORT_VERSION || !Array.isArray(parsed.comments)) {
+    throw new CommentError(`Export must be a version ${EXPORT_VERSION} JSON export`, 'INVALID_EXPORT');
+  }
+  
+  const byId = new Map();
+  
+  for (const comment of parsed.comments) {
+    if (!comment || comment.id === undefined || typeof comment.content !== 'string') {
+      throw new CommentError('Exported comments need an id and content', 'INVALID_EXPORT');
+    }
+    byId.set(String(comment.id), comment);
+  }
+  
+  const ordered = [];
+  const visited = new Set();
+  
+  // Walk up to the root first so every parent is placed before its replies
+  function place(comment, seen = new Set()) {
+    const id = String(comment.id);
+    if (visited.has(id)) return;
+    
+    if (seen.has(id)) {
+      throw new CommentError('Export contains a reply cycle', 'INVALID_EXPORT');
+    }
+    seen.add(id);
+    
+    if (comment.parentId !== null && comment.parentId !== undefined) {
+      const parent = byId.get(String(comment.parentId));
+      
+      if (!parent) {
+        throw new CommentError(`Parent ${comment.parentId} of comment ${id} is missing`, 'INVALID_EXPORT');
+      }
+      place(parent, seen);
+    }
+    
+    visited.add(id);
+    ordered.push(comment);
+  }
+  
+  for (const comment of parsed.comments) {
+    place(comment);
+  }
+  
+  return { postId: parsed.postId, comments: ordered };
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  assertFormat,
+  serializeThread,
+  parseThreadExport
+};
@@ -0,0 +1,724 @@
+/**
+ * SQL storage adapter
+ * Works with PostgreSQL and SQLite through a caller-supplied query function.
+ */
+
+const { randomUUID } = require('crypto');
+const { sortComments } = require('./utils');
+const { createNormalizer } = require('./normalize');
+const { parseSearchQuery, createSearchIndex, sortSearchResults } = require('./search');
+
+const DIALECTS = ['postgres', 'sqlite'];
+
+// Comment field -> column
+const COLUMNS = {
+  id: 'id',
+  postId: 'post_id',
+  authorId: 'author_id',
+  content: 'content',
+  parentId: 'parent_id',
+  depth: 'depth',
+  score: 'score',
+  upvotes: 'upvotes',
+  downvotes: 'downvotes',
+  isDeleted: 'is_deleted',
+  status: 'status',
+  flags: 'flags',
+  isRemoved: 'is_removed',
+  removedBy: 'removed_by',
+  removalReason: 'removal_reason',
+  removedAt: 'removed_at',
+  isLocked: 'is_locked',
+  isPinned: 'is_pinned',
+  createdAt: 'created_at',
+  editedAt: 'edited_at'
+};
+
+const normalizeRow = createNormalizer('snake_case');
+
+// Max comment IDs bound into a single IN (...) list
+const IN_BATCH_SIZE = 500;
+
+function toNotification(row) {
+  return {
+    id: String(row.id),
+    agentId: row.agent_id,
+    type: row.type,
+    commentId: row.comment_id,
+    postId: row.post_id,
+    actorId: row.actor_id,
+    isRead: Boolean(row.is_read),
+    createdAt: new Date(row.created_at)
+  };
+}
+
+const CONTROVERSY = 'CASE WHEN upvotes + downvotes = 0 THEN 0 '
+  + 'ELSE (upvotes + downvotes) * (1.0 - ABS(upvotes - downvotes) * 1.0 / (upvotes + downvotes)) END';
+
+// Sorts the database can do itself; anything else is sorted in JS
+const ORDER_BY = {
+  top: 'score DESC, created_at DESC, id',
+  new: 'created_at DESC, id',
+  old: 'created_at ASC, id',
+  controversial: `${CONTROVERSY} DESC, created_at DESC, id`
+};
+
+/**
+ * Get the DDL statements for a dialect
+ * 
+ * @param {string} dialect - postgres or sqlite
+ * @returns {Array<string>} Statements, safe to run repeatedly
+ */
+function getSqlSchema(dialect = 'postgres') {
+  if (!DIALECTS.includes(dialect)) {
+    throw new Error(`Unsupported SQL dialect: ${dialect}`);
+  }
+  
+  const timestamp = dialect === 'postgres' ? 'TIMESTAMPTZ' : 'TEXT';
+  const serial = dialect === 'postgres' ? 'BIGSERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+  
+  return [
+    `CREATE TABLE IF NOT EXISTS comments (
+      id TEXT PRIMARY KEY,
+      post_id TEXT NOT NULL,
+      author_id TEXT,
+      content TEXT NOT NULL,
+      parent_id TEXT,
+      depth INTEGER NOT NULL DEFAULT 0,
+      score INTEGER NOT NULL DEFAULT 0,
+      upvotes INTEGER NOT NULL DEFAULT 0,
+      downvotes INTEGER NOT NULL DEFAULT 0,
+      is_deleted BOOLEAN NOT NULL DEFAULT FALSE,
+      status TEXT NOT NULL DEFAULT 'published',
+      flags TEXT,
+      is_removed BOOLEAN NOT NULL DEFAULT FALSE,
+      removed_by TEXT,
+      removal_reason TEXT,
+      removed_at ${timestamp},
+      is_locked BOOLEAN NOT NULL DEFAULT FALSE,
+      is_pinned BOOLEAN NOT NULL DEFAULT FALSE,
+      reply_count INTEGER NOT NULL DEFAULT 0,
+      descendant_count INTEGER NOT NULL DEFAULT 0,
+      created_at ${timestamp} NOT NULL,
+      edited_at ${timestamp}
+    )`,
+    'CREATE INDEX IF NOT EXISTS comments_post_idx ON comments (post_id, created_at)',
+    'CREATE INDEX IF NOT EXISTS comments_parent_idx ON comments (parent_id)',
+    'CREATE INDEX IF NOT EXISTS comments_author_idx ON comments (author_id)',
+    `CREATE TABLE IF NOT EXISTS comment_counts (
+      post_id TEXT PRIMARY KEY,
+      count INTEGER NOT NULL DEFAULT 0
+    )`,
+    // Backfills posts written before the counts table existed; WHERE TRUE keeps SQLite's parser happy
+    `INSERT INTO comment_counts (post_id, count)
+     SELECT post_id, COUNT(*) FROM comments WHERE TRUE GROUP BY post_id
+     ON CONFLICT (post_id) DO NOTHING`,
+    `CREATE TABLE IF NOT EXISTS comment_votes (
+      comment_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      value SMALLINT NOT NULL,
+      PRIMARY KEY (comment_id, agent_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS comment_votes_agent_idx ON comment_votes (agent_id)',
+    `CREATE TABLE IF NOT EXISTS comment_revisions (
+      id ${serial},
+      comment_id TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at ${timestamp} NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS comment_revisions_comment_idx ON comment_revisions (comment_id)',
+    `CREATE TABLE IF NOT EXISTS comment_reactions (
+      comment_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      reaction TEXT NOT NULL,
+      PRIMARY KEY (comment_id, agent_id, reaction)
+    )`,
+    'CREATE INDEX IF NOT EXISTS comment_reactions_agent_idx ON comment_reactions (agent_id)',
+    `CREATE TABLE IF NOT EXISTS comment_notifications (
+      id ${serial},
+      agent_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      comment_id TEXT NOT NULL,
+      post_id TEXT NOT NULL,
+      actor_id TEXT,
+      is_read BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at ${timestamp} NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS comment_notifications_agent_idx ON comment_notifications (agent_id, is_read)',
+    'CREATE INDEX IF NOT EXISTS comment_notifications_comment_idx ON comment_notifications (comment_id)'
+  ];
+}
+
+/**
+ * Create a SQL storage adapter
+ * 
+ * @param {Function} query - Async (sql, params) => rows
+ * @param {Object} options - Adapter options
+ * @param {string} options.dialect - postgres (default) or sqlite
+ * @param {Function} options.transaction - Async (fn) => result: runs fn with a query
+ *   function bound to one connection between BEGIN and COMMIT, rolling back if it throws.
+ *   Enables the adapter's transaction method.
+ * @returns {Object} Adapter with all required and optional methods, plus migrate()
+ */
+function createSqlAdapter(query, { dialect = 'postgres', transaction = null } = {}) {
+  if (typeof query !== 'function') {
+    throw new Error('createSqlAdapter requires a query function');
+  }
+  
+  if (!DIALECTS.includes(dialect)) {
+    throw new Error(`Unsupported SQL dialect: ${dialect}`);
+  }
+  
+  if (transaction !== null && typeof transaction !== 'function') {
+    throw new Error('createSqlAdapter transaction option must be a function');
+  }
+  
+  return buildAdapter(query, dialect, transaction, false);
+}
+
+/**
+ * Build the adapter over a query function
+ * Inside a PostgreSQL transaction, single-row reads lock the row until commit.
+ * @private
+ */
+function buildAdapter(query, dialect, transaction, inTransaction) {
+  const forUpdate = inTransaction && dialect === 'postgres' ? ' FOR UPDATE' : '';
+  
+  function toDb(value) {
+    if (value === undefined) return null;
+    if (dialect === 'sqlite' && typeof value === 'boolean') return value ? 1 : 0;
+    if (dialect === 'sqlite' && value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return JSON.stringify(value);
+    return value;
+  }
+  
+  // Statements are written with ? placeholders; PostgreSQL wants $1, $2, ...
+  async function run(sql, params = []) {
+    let text = sql;
+    
+    if (dialect === 'postgres') {
+      let index = 0;
+      text = sql.replace(/\?/g, () => `$${++index}`);
+    }
+    
+    return (await query(text, params.map(toDb))) || [];
+  }
+  
+  // Sorts in ORDER_BY page in SQL. The rest (best, hot and registered sorts)
+  // are computed in JavaScript, so every call reads all matching rows and
+  // paging through them with offsets reads the rows once per page.
+  async function selectSorted(where, params, { sort = 'top', limit = 100, offset = 0 }) {
+    if (ORDER_BY[sort]) {
+      const rows = await run(
+        `SELECT * FROM comments WHERE ${where} ORDER BY ${ORDER_BY[sort]} LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      return rows.map(normalizeRow);
+    }
+    
+    const rows = await run(`SELECT * FROM comments WHERE ${where}`, params);
+    return sortComments(rows.map(normalizeRow), sort).slice(offset, offset + limit);
+  }
+  
+  function toColumns(fields) {
+    return Object.entries(fields).filter(([field]) => COLUMNS[field] && field !== 'id');
+  }
+  
+  // Add delta to the descendant count of a comment and everything above it
+  async function addDescendants(commentId, delta) {
+    await run(
+      `WITH RECURSIVE chain AS (
+         SELECT id, parent_id FROM comments WHERE id = ?
+         UNION ALL
+         SELECT parent.id, parent.parent_id FROM comments parent
+         JOIN chain ON parent.id = chain.parent_id
+       )
+       UPDATE comments SET descendant_count = descendant_count + ? WHERE id IN (SELECT id FROM chain)`,
+      [commentId, delta]
+    );
+  }
+  
+  // Take removed comments off their ancestors' counters and their posts' counts
+  async function uncount(rows) {
+    const byPost = new Map();
+    
+    for (const row of rows) {
+      byPost.set(row.post_id, (byPost.get(row.post_id) || 0) + 1);
+      
+      if (row.parent_id) {
+        await run('UPDATE comments SET reply_count = reply_count - 1 WHERE id = ?', [row.parent_id]);
+        await addDescendants(row.parent_id, -(1 + Number(row.descendant_count || 0)));
+      }
+    }
+    
+    for (const [postId, count] of byPost) {
+      await run('UPDATE comment_counts SET count = count - ? WHERE post_id = ?', [count, postId]);
+    }
+  }
+  
+  const adapter = {
+    /**
+     * Create the tables and indexes if they do not exist
+     */
+    async migrate() {
+      for (const statement of getSqlSchema(dialect)) {
+        await run(statement);
+      }
+    },
+
+    /**
+     * Get a comment by ID
+     */
+    async getComment(id) {
+      const rows = await run(`SELECT * FROM comments WHERE id = ?${forUpdate}`, [id]);
+      return normalizeRow(rows[0]);
+    },
+
+    /**
+     * Get comments for a post
+     */
+    async getComments(postId, options = {}) {
+      return selectSorted('post_id = ?', [postId], options);
+    },
+
+    /**
+     * Save a comment
+     */
+    async saveComment(comment) {
+      const entries = toColumns({ ...comment, createdAt: comment.createdAt || new Date() });
+      const columns = ['id', ...entries.map(([field]) => COLUMNS[field])];
+      const values = [comment.id ?? randomUUID(), ...entries.map(([, value]) => value)];
+      
+      const rows = await run(
+        `INSERT INTO comments (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) RETURNING *`,
+        values
+      );
+      
+      // Single-statement increments, so concurrent saves cannot lose counts
+      if (comment.parentId) {
+        await run('UPDATE comments SET reply_count = reply_count + 1 WHERE id = ?', [comment.parentId]);
+        await addDescendants(comment.parentId, 1);
+      }
+      await run(
+        `INSERT INTO comment_counts (post_id, count) VALUES (?, 1)
+         ON CONFLICT (post_id) DO UPDATE SET count = comment_counts.count + 1`,
+        [comment.postId]
+      );
+      
+      return normalizeRow(rows[0]);
+    },
+
+    /**
+     * Delete a comment (soft delete)
+     */
+    async deleteComment(id) {
+      await run("UPDATE comments SET content = '[deleted]', is_deleted = ? WHERE id = ?", [true, id]);
+    },
+
+    /**
+     * Update comment score
+     */
+    async updateScore(id, delta) {
+      const rows = await run('UPDATE comments SET score = score + ? WHERE id = ? RETURNING score', [delta, id]);
+      return rows[0] ? Number(rows[0].score) : 0;
+    },
+
+    /**
+     * Get replies to a comment
+     */
+    async getReplies(commentId, { sort = 'top', limit = 25, offset = 0 } = {}) {
+      return selectSorted('parent_id = ?', [commentId], { sort, limit, offset });
+    },
+
+    /**
+     * Get a comment's ancestors, nearest first
+     * Inside a PostgreSQL transaction the ancestors are locked too, so a
+     * concurrent lock() anywhere up the chain waits for the caller to commit.
+     */
+    async getAncestors(commentId, { limit = 100 } = {}) {
+      const select = forUpdate
+        ? `SELECT comments.*, chain.hops FROM comments JOIN chain ON comments.id = chain.id ORDER BY chain.hops${forUpdate} OF comments`
+        : 'SELECT * FROM chain ORDER BY hops';
+      
+      const rows = await run(
+        `WITH RECURSIVE chain AS (
+           SELECT parent.*, 1 AS hops FROM comments parent
+           WHERE parent.id = (SELECT parent_id FROM comments WHERE id = ?)
+           UNION ALL
+           SELECT parent.*, chain.hops + 1 FROM comments parent
+           JOIN chain ON parent.id = chain.parent_id
+           WHERE chain.hops < ?
+         )
+         ${select}`,
+        [commentId, limit]
+      );
+      return rows.map(({ hops, ...row }) => normalizeRow(row));
+    },
+
+    /**
+     * Get an agent's comments
+     */
+    async getCommentsByAuthor(authorId, { sort = 'new', limit = 25, offset = 0, includeDeleted = false } = {}) {
+      if (includeDeleted) {
+        return selectSorted('author_id = ?', [authorId], { sort, limit, offset });
+      }
+      return selectSorted('author_id = ? AND is_deleted = ?', [authorId, false], { sort, limit, offset });
+    },
+
+    /**
+     * Get totals over an agent's comments that are not deleted
+     * Replies received count other agents' replies that are not deleted.
+     */
+    async getAgentStats(agentId) {
+      const [totals] = await run(
+        `SELECT COUNT(*) AS comment_count, COALESCE(SUM(score), 0) AS total_score, AVG(depth) AS average_depth
+         FROM comments WHERE author_id = ? AND is_deleted = ?`,
+        [agentId, false]
+      );
+      const [replies] = await run(
+        `SELECT COUNT(*) AS count FROM comments reply
+         JOIN comments parent ON reply.parent_id = parent.id
+         WHERE parent.author_id = ? AND reply.is_deleted = ?
+         AND (reply.author_id IS NULL OR reply.author_id <> parent.author_id)`,
+        [agentId, false]
+      );
+      
+      return {
+        commentCount: Number(totals.comment_count),
+        totalScore: Number(totals.total_score),
+        repliesReceived: Number(replies.count),
+        averageDepth: Number(totals.average_depth ?? 0)
+      };
+    },
+
+    /**
+     * Search comment content
+     * LIKE narrows the candidates; an index built over them decides what
+     * matches and how it ranks.
+     */
+    async searchComments(query, { postId, authorId, since, until, sort = 'relevance', limit = 25, offset = 0 } = {}) {
+      const clauses = parseSearchQuery(query);
+      if (clauses.length === 0) {
+        return [];
+      }
+      
+      const where = ['is_deleted = ?', 'is_removed = ?'];
+      const params = [false, false];
+      
+      for (const word of new Set(clauses.flatMap(clause => clause.words))) {
+        where.push("LOWER(content) LIKE ? ESCAPE '\\'");
+        params.push(`%${word.replace(/[\\%_]/g, '\\$&')}%`);
+      }
+      
+      const filters = [
+        ['post_id = ?', postId],
+        ['author_id = ?', authorId],
+        ['created_at >= ?', since == null ? null : new Date(since)],
+        ['created_at < ?', until == null ? null : new Date(until)]
+      ];
+      
+      for (const [condition, value] of filters) {
+        if (value == null) continue;
+        where.push(condition);
+        params.push(value);
+      }
+      
+      const rows = (await run(`SELECT * FROM comments WHERE ${where.join(' AND ')}`, params)).map(normalizeRow);
+      const index = createSearchIndex();
+      
+      for (const row of rows) {
+        index.add(row.id, row.content);
+      }
+      
+      const relevance = index.search(clauses);
+      const matches = rows.filter(row => relevance.has(row.id));
+      
+      return sortSearchResults(matches, relevance, sort).slice(offset, offset + limit);
+    },
+
+    /**
+     * Get comment count for a post
+     */
+    async getCount(postId) {
+      const rows = await run('SELECT count FROM comment_counts WHERE post_id = ?', [postId]);
+      return rows[0] ? Number(rows[0].count) : 0;
+    },
+
+    /**
+     * Get an agent's vote on a comment
+     */
+    async getVote(commentId, agentId) {
+      const rows = await run(
+        'SELECT value FROM comment_votes WHERE comment_id = ? AND agent_id = ?',
+        [commentId, agentId]
+      );
+      return rows[0] ? Number(rows[0].value) : null;
+    },
+
+    /**
+     * Record an agent's vote and apply the tally changes
+     */
+    async saveVote(commentId, agentId, value, delta) {
+      if (value === 0) {
+        await run('DELETE FROM comment_votes WHERE comment_id = ? AND agent_id = ?', [commentId, agentId]);
+      } else {
+        await run(
+          `INSERT INTO comment_votes (comment_id, agent_id, value) VALUES (?, ?, ?)
+           ON CONFLICT (comment_id, agent_id) DO UPDATE SET value = excluded.value`,
+          [commentId, agentId, value]
+        );
+      }
+      
+      const rows = await run(
+        `UPDATE comments SET score = score + ?, upvotes = upvotes + ?, downvotes = downvotes + ?
+         WHERE id = ? RETURNING score, upvotes, downvotes`,
+        [delta.score, delta.upvotes, delta.downvotes, commentId]
+      );
+      
+      if (!rows[0]) {
+        return { score: 0, upvotes: 0, downvotes: 0 };
+      }
+      
+      return {
+        score: Number(rows[0].score),
+        upvotes: Number(rows[0].upvotes),
+        downvotes: Number(rows[0].downvotes)
+      };
+    },
+
+    /**
+     * Apply field changes to a comment
+     */
+    async updateComment(id, changes) {
+      const entries = toColumns(changes);
+      
+      if (entries.length === 0) {
+        return this.getComment(id);
+      }
+      
+      const rows = await run(
+        `UPDATE comments SET ${entries.map(([field]) => `${COLUMNS[field]} = ?`).join(', ')} WHERE id = ? RETURNING *`,
+        [...entries.map(([, value]) => value), id]
+      );
+      return normalizeRow(rows[0]);
+    },
+
+    /**
+     * Store a previous revision of a comment
+     */
+    async saveRevision(commentId, revision) {
+      await run(
+        'INSERT INTO comment_revisions (comment_id, content, created_at) VALUES (?, ?, ?)',
+        [commentId, revision.content, new Date(revision.createdAt)]
+      );
+    },
+
+    /**
+     * Get previous revisions of a comment, oldest first
+     */
+    async getRevisions(commentId) {
+      const rows = await run(
+        'SELECT content, created_at FROM comment_revisions WHERE comment_id = ? ORDER BY id',
+        [commentId]
+      );
+      return rows.map(row => ({ content: row.content, createdAt: new Date(row.created_at) }));
+    },
+
+    /**
+     * Add an agent's reaction to a comment
+     * Returns false when the agent already reacted with that reaction.
+     */
+    async saveReaction(commentId, agentId, reaction) {
+      const rows = await run(
+        `INSERT INTO comment_reactions (comment_id, agent_id, reaction) VALUES (?, ?, ?)
+         ON CONFLICT (comment_id, agent_id, reaction) DO NOTHING RETURNING comment_id`,
+        [commentId, agentId, reaction]
+      );
+      return rows.length > 0;
+    },
+
+    /**
+     * Remove an agent's reaction from a comment
+     * Returns false when the agent had not reacted with that reaction.
+     */
+    async deleteReaction(commentId, agentId, reaction) {
+      const rows = await run(
+        'DELETE FROM comment_reactions WHERE comment_id = ? AND agent_id = ? AND reaction = ? RETURNING comment_id',
+        [commentId, agentId, reaction]
+      );
+      return rows.length > 0;
+    },
+
+    /**
+     * Get reaction counts for comments
+     * Returns { [commentId]: { [reaction]: count } } for comments with reactions.
+     */
+    async getReactionCounts(commentIds) {
+      const counts = {};
+      
+      for (let i = 0; i < commentIds.length; i += IN_BATCH_SIZE) {
+        const batch = commentIds.slice(i, i + IN_BATCH_SIZE);
+        const rows = await run(
+          `SELECT comment_id, reaction, COUNT(*) AS count FROM comment_reactions
+           WHERE comment_id IN (${batch.map(() => '?').join(', ')}) GROUP BY comment_id, reaction`,
+          batch
+        );
+        
+        for (const row of rows) {
+          counts[row.comment_id] = counts[row.comment_id] || {};
+          counts[row.comment_id][row.reaction] = Number(row.count);
+        }
+      }
+      
+      return counts;
+    },
+
+    /**
+     * Store a notification for an agent
+     */
+    async saveNotification(notification) {
+      const rows = await run(
+        `INSERT INTO comment_notifications (agent_id, type, comment_id, post_id, actor_id, is_read, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+        [
+          notification.agentId,
+          notification.type,
+          notification.commentId,
+          notification.postId,
+          notification.actorId,
+          Boolean(notification.isRead),
+          notification.createdAt || new Date()
+        ]
+      );
+      return toNotification(rows[0]);
+    },
+
+    /**
+     * Get an agent's notifications, newest first
+     */
+    async getNotifications(agentId, { unreadOnly = false, limit = 25, offset = 0 } = {}) {
+      const rows = await run(
+        `SELECT * FROM comment_notifications WHERE agent_id = ?${unreadOnly ? ' AND is_read = ?' : ''}
+         ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        unreadOnly ? [agentId, false, limit, offset] : [agentId, limit, offset]
+      );
+      return rows.map(toNotification);
+    },
+
+    /**
+     * Mark an agent's notifications read, all of them when no IDs are given
+     */
+    async markNotificationsRead(agentId, ids) {
+      if (ids && ids.length === 0) {
+        return 0;
+      }
+      
+      const filter = ids ? ` AND id IN (${ids.map(() => '?').join(', ')})` : '';
+      const rows = await run(
+        `UPDATE comment_notifications SET is_read = ? WHERE agent_id = ? AND is_read = ?${filter} RETURNING id`,
+        [true, agentId, false, ...(ids || [])]
+      );
+      return rows.length;
+    },
+
+    /**
+     * Permanently delete a single comment
+     */
+    async purgeComment(id) {
+      await run('DELETE FROM comment_votes WHERE comment_id = ?', [id]);
+      await run('DELETE FROM comment_revisions WHERE comment_id = ?', [id]);
+      await run('DELETE FROM comment_reactions WHERE comment_id = ?', [id]);
+      await run('DELETE FROM comment_notifications WHERE comment_id = ?', [id]);
+      await uncount(await run('DELETE FROM comments WHERE id = ? RETURNING post_id, parent_id, descendant_count', [id]));
+    },
+
+    /**
+     * Erase an agent's data: their comments, revisions, votes and reactions
+     * In 'remove' mode comments are deleted outright unless other comments
+     * still reply to them, in which case they are anonymised. Votes are
+     * taken back out of the tallies.
+     */
+    async purgeAgent(agentId, { mode = 'anonymize' } = {}) {
+      let removed = 0;
+      
+      await run(
+        'DELETE FROM comment_revisions WHERE comment_id IN (SELECT id FROM comments WHERE author_id = ?)',
+        [agentId]
+      );
+      
+      if (mode === 'remove') {
+        // Repeat so chains of the agent's own replies are removed bottom-up
+        while (true) {
+          const rows = await run(
+            `DELETE FROM comments WHERE author_id = ?
+             AND NOT EXISTS (SELECT 1 FROM comments child WHERE child.parent_id = comments.id)
+             RETURNING id, post_id, parent_id, descendant_count`,
+            [agentId]
+          );
+          if (rows.length === 0) break;
+          removed += rows.length;
+          await uncount(rows);
+        }
+        
+        await run('DELETE FROM comment_votes WHERE comment_id NOT IN (SELECT id FROM comments)');
+        await run('DELETE FROM comment_reactions WHERE comment_id NOT IN (SELECT id FROM comments)');
+      }
+      
+      const anonymized = await run(
+        "UPDATE comments SET content = '[deleted]', author_id = NULL, is_deleted = ? WHERE author_id = ? RETURNING id",
+        [true, agentId]
+      );
+      
+      // Take the agent's votes back out of the tallies, as reactions are out of the counts
+      const vote = 'SELECT value FROM comment_votes WHERE comment_id = comments.id AND agent_id = ?';
+      await run(
+        `UPDATE comments SET
+           score = score - (${vote}),
+           upvotes = upvotes - CASE WHEN (${vote}) = 1 THEN 1 ELSE 0 END,
+           downvotes = downvotes - CASE WHEN (${vote}) = -1 THEN 1 ELSE 0 END
+         WHERE id IN (SELECT comment_id FROM comment_votes WHERE agent_id = ?)`,
+        [agentId, agentId, agentId, agentId]
+      );
+      
+      await run('DELETE FROM comment_votes WHERE agent_id = ?', [agentId]);
+      await run('DELETE FROM comment_reactions WHERE agent_id = ?', [agentId]);
+      await run('DELETE FROM comment_notifications WHERE agent_id = ? OR actor_id = ?', [agentId, agentId]);
+      
+      return { removed, anonymized: anonymized.length };
+    },
+
+    /**
+     * Permanently delete every comment of a post
+     */
+    async deletePost(postId) {
+      const subquery = 'SELECT id FROM comments WHERE post_id = ?';
+      await run(`DELETE FROM comment_votes WHERE comment_id IN (${subquery})`, [postId]);
+      await run(`DELETE FROM comment_revisions WHERE comment_id IN (${subquery})`, [postId]);
+      await run(`DELETE FROM comment_reactions WHERE comment_id IN (${subquery})`, [postId]);
+      await run('DELETE FROM comment_notifications WHERE post_id = ?', [postId]);
+      await run('DELETE FROM comment_counts WHERE post_id = ?', [postId]);
+      const rows = await run('DELETE FROM comments WHERE post_id = ? RETURNING id', [postId]);
+      return rows.length;
+    }
+  };
+  
+  if (transaction) {
+    /**
+     * Run fn with an adapter whose statements all belong to one transaction
+     * Nested calls join the running transaction.
+     */
+    adapter.transaction = async fn => {
+      if (inTransaction) {
+        return fn(adapter);
+      }
+      return transaction(txQuery => fn(buildAdapter(txQuery, dialect, transaction, true)));
+    };
+  }
+  
+  return adapter;
+}
+
+module.exports = {
+  createSqlAdapter,
+  getSqlSchema
+};
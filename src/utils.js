@@ -50,6 +50,8 @@ function flattenTree(tree) {
   
   function traverse(nodes) {
     for (const node of nodes) {
+      if (isMoreStub(node)) continue;
+      
       const { replies, ...comment } = node;
       result.push(comment);
       
@@ -63,60 +65,112 @@ function flattenTree(tree) {
   return result;
 }
 
+function getTime(comment) {
+  return new Date(comment.createdAt || comment.created_at).getTime();
+}
+
+// Tiebreaker: newer first
+function byNewest(a, b) {
+  return getTime(b) - getTime(a);
+}
+
+/**
+ * Registered sort strategies: name -> compare function
+ */
+const sortStrategies = new Map([
+  ['new', byNewest],
+  ['old', (a, b) => getTime(a) - getTime(b)],
+  ['controversial', (a, b) => calculateControversy(b) - calculateControversy(a)],
+  ['top', (a, b) => (b.score ?? 0) - (a.score ?? 0) || byNewest(a, b)],
+  ['best', (a, b) => wilsonScore(b.upvotes, b.downvotes) - wilsonScore(a.upvotes, a.downvotes) || byNewest(a, b)],
+  ['hot', (a, b) => hotScore(b) - hotScore(a)]
+]);
+
+// The registry is shared by every instance, so built-ins cannot be replaced
+const BUILT_IN_SORTS = new Set(sortStrategies.keys());
+
+/**
+ * Register a named sort strategy
+ * The name becomes usable anywhere a sort option is accepted. Built-in
+ * names (new, old, controversial, top, best, hot) cannot be overridden.
+ * 
+ * @param {string} name - Sort name
+ * @param {Function} compare - Array.prototype.sort compare function
+ */
+function registerSort(name, compare) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Sort name must be a non-empty string');
+  }
+  
+  if (typeof compare !== 'function') {
+    throw new Error(`Sort ${name} must be a compare function`);
+  }
+  
+  if (BUILT_IN_SORTS.has(name)) {
+    throw new Error(`Sort ${name} is built in and cannot be overridden`);
+  }
+  
+  sortStrategies.set(name, compare);
+}
+
+/**
+ * List registered sort names
+ * 
+ * @returns {Array<string>} Sort names
+ */
+function getSortNames() {
+  return Array.from(sortStrategies.keys());
+}
+
 /**
  * Sort comments by different algorithms
+ * Unknown sort names fall back to top.
  * 
  * @param {Array} comments - Comments to sort
- * @param {string} sort - Sort method (top, new, old, controversial)
+ * @param {string} sort - Sort method (top, new, old, controversial, best, hot, or a registered name)
  * @returns {Array} Sorted comments
  */
 function sortComments(comments, sort = 'top') {
-  const sorted = [...comments];
-  
-  switch (sort) {
-    case 'new':
-      sorted.sort((a, b) => {
-        const aTime = new Date(a.createdAt || a.created_at).getTime();
-        const bTime = new Date(b.createdAt || b.created_at).getTime();
-        return bTime - aTime;
-      });
-      break;
-      
-    case 'old':
-      sorted.sort((a, b) => {
-        const aTime = new Date(a.createdAt || a.created_at).getTime();
-        const bTime = new Date(b.createdAt || b.created_at).getTime();
-        return aTime - bTime;
-      });
-      break;
-      
-    case 'controversial':
-      sorted.sort((a, b) => {
-        const aScore = calculateControversy(a);
-        const bScore = calculateControversy(b);
-        return bScore - aScore;
-      });
-      break;
-      
-    case 'top':
-    default:
-      sorted.sort((a, b) => {
-        const aScore = a.score ?? 0;
-        const bScore = b.score ?? 0;
-        
-        if (bScore !== aScore) {
-          return bScore - aScore;
-        }
-        
-        // Tiebreaker: newer first
-        const aTime = new Date(a.createdAt || a.created_at).getTime();
-        const bTime = new Date(b.createdAt || b.created_at).getTime();
-        return bTime - aTime;
-      });
-      break;
+  const compare = sortStrategies.get(sort) || sortStrategies.get('top');
+  return [...comments].sort(compare);
+}
+
+/**
+ * Lower bound of the Wilson score confidence interval for the upvote ratio
+ * Favours a high upvote ratio while discounting comments with few votes.
+ * 
+ * @param {number} upvotes - Upvotes
+ * @param {number} downvotes - Downvotes
+ * @param {number} z - z-score of the confidence level (default 80%)
+ * @returns {number} Score between 0 and 1
+ */
+function wilsonScore(upvotes = 0, downvotes = 0, z = 1.281551565545) {
+  const n = (upvotes ?? 0) + (downvotes ?? 0);
+  
+  if (n === 0) {
+    return 0;
   }
   
-  return sorted;
+  const p = (upvotes ?? 0) / n;
+  const z2 = z * z;
+  
+  return (p + z2 / (2 * n) - z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n)) / (1 + z2 / n);
+}
+
+/**
+ * Hot score: log-scaled score plus a bonus for recency
+ * Every 12.5 hours of age is worth a factor of ten in score.
+ * 
+ * @param {Object} comment - Comment with score and createdAt
+ * @returns {number} Hot score
+ */
+function hotScore(comment) {
+  const score = comment.score ?? 0;
+  const order = Math.log10(Math.max(Math.abs(score), 1));
+  const sign = Math.sign(score);
+  const seconds = getTime(comment) / 1000 - 1134028003;
+  
+  return sign * order + seconds / 45000;
 }
 
 /**
@@ -175,6 +229,8 @@ function countComments(tree) {
   
   function traverse(nodes) {
     for (const node of nodes) {
+      if (isMoreStub(node)) continue;
+      
       count++;
       if (node.replies && node.replies.length > 0) {
         traverse(node.replies);
@@ -186,11 +242,174 @@ function countComments(tree) {
   return count;
 }
 
+/**
+ * Fill in replyCount and descendantCount from a built tree
+ * Counts already present, e.g. kept by the adapter, are left alone.
+ * 
+ * @param {Array} tree - Comment tree, before any truncation
+ * @returns {Array} The same tree
+ */
+function fillReplyCounts(tree) {
+  for (const node of tree) {
+    if (isMoreStub(node)) continue;
+    
+    const replies = (node.replies || []).filter(reply => !isMoreStub(reply));
+    fillReplyCounts(replies);
+    
+    node.replyCount ??= replies.length;
+    node.descendantCount ??= replies.reduce((sum, reply) => sum + 1 + reply.descendantCount, 0);
+  }
+  
+  return tree;
+}
+
+/**
+ * Drop deleted comments that have no replies left
+ * Applied bottom-up, so a deleted comment whose replies were all pruned goes too.
+ * 
+ * @param {Array} tree - Nested tree structure
+ * @returns {Array} Pruned tree
+ */
+function pruneDeleted(tree) {
+  const result = [];
+  
+  for (const node of tree) {
+    if (isMoreStub(node)) {
+      result.push(node);
+      continue;
+    }
+    
+    const replies = pruneDeleted(node.replies || []);
+    
+    if ((node.isDeleted || node.is_deleted) && replies.length === 0) {
+      continue;
+    }
+    
+    result.push({ ...node, replies });
+  }
+  
+  return result;
+}
+
+/**
+ * Check whether a tree node is a "load more replies" continuation stub
+ * 
+ * @param {Object} node - Tree node
+ * @returns {boolean} True for stubs
+ */
+function isMoreStub(node) {
+  return node?.type === 'more';
+}
+
+/**
+ * Cut a comment tree down to per-level budgets
+ * Truncated replies are replaced by a continuation stub
+ * ({ type: 'more', parentId, count, cursor }) that getSubtree() resumes from.
+ * 
+ * @param {Array} nodes - Nested tree (already sorted)
+ * @param {Object} budgets - Budgets
+ * @param {number} budgets.maxReplies - Max replies kept per comment
+ * @param {number} budgets.maxDepth - Max reply levels kept below the top level
+ * @param {Object} budgets.view - How the tree was sorted and pruned ({ sort, pruneDeleted }), kept in stub cursors
+ * @param {Object} parent - When nodes are replies: { id, offset } of their parent
+ * @returns {Array} Truncated tree
+ */
+function truncateTree(nodes, { maxReplies = Infinity, maxDepth = Infinity, view = {} } = {}, parent = null) {
+  function createStub(parentId, count, offset) {
+    return { type: 'more', parentId, count, cursor: encodeCursor({ ...view, offset }) };
+  }
+  
+  function visit(node, level) {
+    const replies = node.replies || [];
+    
+    if (replies.length === 0) {
+      return node;
+    }
+    
+    if (level >= maxDepth) {
+      return { ...node, replies: [createStub(node.id, replies.length, 0)] };
+    }
+    
+    return { ...node, replies: visitReplies(replies, node.id, 0, level + 1) };
+  }
+  
+  function visitReplies(replies, parentId, offset, level) {
+    const kept = replies.slice(0, maxReplies).map(reply => visit(reply, level));
+    
+    if (replies.length > maxReplies) {
+      kept.push(createStub(parentId, replies.length - maxReplies, offset + maxReplies));
+    }
+    
+    return kept;
+  }
+  
+  if (parent) {
+    return visitReplies(nodes, parent.id, parent.offset ?? 0, 0);
+  }
+  
+  return nodes.map(node => visit(node, 0));
+}
+
+/**
+ * Encode pagination state as an opaque cursor string
+ * 
+ * @param {Object} state - Pagination state
+ * @returns {string} Cursor
+ */
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * 
+ * @param {string} cursor - Cursor string
+ * @returns {Object|null} Pagination state, or null if malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return state && typeof state === 'object' ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// @name, not preceded by a word character so email addresses are skipped
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_](?:[\w-]*\w)?)/g;
+
+/**
+ * Find the agent names mentioned in content
+ * 
+ * @param {string} content - Comment content
+ * @returns {Array<string>} Unique names without the @, in order of appearance
+ */
+function parseMentions(content) {
+  const names = new Set();
+  
+  for (const match of String(content || '').matchAll(MENTION_PATTERN)) {
+    names.add(match[2]);
+  }
+  
+  return Array.from(names);
+}
+
 module.exports = {
   buildTree,
   flattenTree,
   sortComments,
+  registerSort,
+  getSortNames,
+  wilsonScore,
+  hotScore,
   calculateControversy,
   getDepth,
-  countComments
+  countComments,
+  fillReplyCounts,
+  pruneDeleted,
+  isMoreStub,
+  truncateTree,
+  encodeCursor,
+  decodeCursor,
+  parseMentions
 };
@@ -0,0 +1,175 @@
+/**
+ * Built-in moderation validators
+ * 
+ * A validator is an async function (content, context) that may:
+ * - return nothing to accept the content unchanged
+ * - return a string to replace the content
+ * - return { content, flag } to replace the content and/or flag the
+ *   comment for review (it is stored with status 'pending')
+ * - throw a CommentError to reject the comment
+ */
+
+const CommentError = require('./CommentError');
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Reject or flag a finding depending on the configured action
+ */
+function handleFinding(action, message, code) {
+  if (action === 'flag') {
+    return { flag: code };
+  }
+  throw new CommentError(message, code);
+}
+
+/**
+ * Filter banned words (whole words, case-insensitive)
+ * 
+ * @param {Array<string>} words - Banned words
+ * @param {Object} options - Options
+ * @param {string} options.action - reject, flag or mask (default reject)
+ * @returns {Function} Validator
+ */
+function bannedWords(words, { action = 'reject' } = {}) {
+  if (!words || words.length === 0) {
+    return async () => {};
+  }
+  
+  const pattern = new RegExp(`\\b(?:${words.map(escapeRegExp).join('|')})\\b`, 'gi');
+  
+  return async function bannedWordsValidator(content) {
+    pattern.lastIndex = 0;
+    
+    if (!pattern.test(content)) {
+      return;
+    }
+    
+    if (action === 'mask') {
+      return content.replace(pattern, match => '*'.repeat(match.length));
+    }
+    
+    return handleFinding(action, 'Content contains banned words', 'BANNED_CONTENT');
+  };
+}
+
+/**
+ * Limit the number of links in a comment
+ * 
+ * @param {number} max - Maximum number of links
+ * @param {Object} options - Options
+ * @param {string} options.action - reject or flag (default reject)
+ * @returns {Function} Validator
+ */
+function linkLimit(max, { action = 'reject' } = {}) {
+  return async function linkLimitValidator(content) {
+    const links = content.match(LINK_PATTERN) || [];
+    
+    if (links.length > max) {
+      return handleFinding(action, `Content contains more than ${max} links`, 'TOO_MANY_LINKS');
+    }
+  };
+}
+
+/**
+ * Detect an agent posting the same content repeatedly
+ * Keeps recent content per author in memory.
+ * 
+ * @param {Object} options - Options
+ * @param {number} options.windowMs - How long content is remembered (default 1 hour)
+ * @param {number} options.maxPerAuthor - Recent comments remembered per author (default 50)
+ * @param {string} options.action - reject or flag (default reject)
+ * @param {Function} options.now - Clock, for testing
+ * @returns {Function} Validator
+ */
+function duplicateContent({
+  windowMs = 60 * 60 * 1000,
+  maxPerAuthor = 50,
+  action = 'reject',
+  now = Date.now
+} = {}) {
+  const recent = new Map();
+  
+  return async function duplicateContentValidator(content, { authorId }) {
+    const key = content.toLowerCase().replace(/\s+/g, ' ').trim();
+    const time = now();
+    const entries = (recent.get(authorId) || []).filter(entry => time - entry.time < windowMs);
+    const duplicate = entries.some(entry => entry.key === key);
+    
+    entries.push({ key, time });
+    recent.set(authorId, entries.slice(-maxPerAuthor));
+    
+    if (duplicate) {
+      return handleFinding(action, 'Duplicate content', 'DUPLICATE_CONTENT');
+    }
+  };
+}
+
+/**
+ * Score content for spam signals between 0 and 1
+ * Looks at shouting, repeated characters, repeated words and link density.
+ * 
+ * @param {string} content - Content
+ * @returns {number} Spam score
+ */
+function scoreSpam(content) {
+  const letters = content.replace(/[^a-z]/gi, '');
+  const words = content.toLowerCase().split(/\s+/).filter(Boolean);
+  const links = content.match(LINK_PATTERN) || [];
+  let score = 0;
+  
+  if (letters.length >= 10) {
+    const upper = letters.replace(/[^A-Z]/g, '').length;
+    if (upper / letters.length > 0.7) score += 0.3;
+  }
+  
+  if (/(.)\1{9,}/.test(content)) {
+    score += 0.2;
+  }
+  
+  if (words.length >= 5) {
+    const unique = new Set(words).size;
+    if (unique / words.length < 0.3) score += 0.3;
+  }
+  
+  if (links.length > 0 && links.length / Math.max(words.length, 1) > 0.3) {
+    score += 0.4;
+  }
+  
+  return Math.min(score, 1);
+}
+
+/**
+ * Flag or reject content that looks like spam
+ * 
+ * @param {Object} options - Options
+ * @param {number} options.flagAt - Score at which content is flagged (default 0.5)
+ * @param {number} options.rejectAt - Score at which content is rejected (default 0.8)
+ * @param {Function} options.score - Scoring function (default scoreSpam)
+ * @returns {Function} Validator
+ */
+function spamFilter({ flagAt = 0.5, rejectAt = 0.8, score = scoreSpam } = {}) {
+  return async function spamFilterValidator(content, context) {
+    const value = await score(content, context);
+    
+    if (value >= rejectAt) {
+      throw new CommentError('Content looks like spam', 'SPAM');
+    }
+    
+    if (value >= flagAt) {
+      return { flag: 'SPAM' };
+    }
+  };
+}
+
+module.exports = {
+  bannedWords,
+  linkLimit,
+  duplicateContent,
+  spamFilter,
+  scoreSpam
+};
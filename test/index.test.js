@@ -8,12 +8,39 @@ const {
   createMemoryAdapter,
   buildTree,
   flattenTree,
-  sortComments
+  sortComments,
+  pruneDeleted,
+  truncateTree,
+  isMoreStub,
+  validators,
+  registerSort,
+  wilsonScore,
+  createSqlAdapter,
+  runAdapterConformance,
+  createNormalizer,
+  normalizeComment,
+  parseMentions,
+  renderMarkdown,
+  renderComment,
+  withCache,
+  createLruStore,
+  parseSearchQuery,
+  createSearchIndex,
+  createMemoryFeed
 } = require('../src');
 
+// node:sqlite ships with Node 22+; SQLite adapter tests are skipped without it
+let DatabaseSync = null;
+try {
+  ({ DatabaseSync } = require('node:sqlite'));
+} catch (e) {
+  DatabaseSync = null;
+}
+
 // Test framework
 let passed = 0;
 let failed = 0;
+let skipped = 0;
 const tests = [];
 
 function describe(name, fn) {
@@ -25,6 +52,11 @@ function test(name, fn) {
   tests.push({ type: 'test', name, fn });
 }
 
+function sqliteTest(name, fn) {
+  if (DatabaseSync) test(name, fn);
+  else tests.push({ type: 'skip', name, reason: 'node:sqlite needs Node 22+' });
+}
+
 function assert(condition, message) {
   if (!condition) throw new Error(message || 'Assertion failed');
 }
@@ -42,6 +74,9 @@ async function runTests() {
   for (const item of tests) {
     if (item.type === 'describe') {
       console.log(`\n[${item.name}]\n`);
+    } else if (item.type === 'skip') {
+      console.log(`  ~ ${item.name} (skipped: ${item.reason})`);
+      skipped++;
     } else {
       try {
         await item.fn();
@@ -56,7 +91,7 @@ async function runTests() {
   }
 
   console.log('\n' + '='.repeat(50));
-  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  console.log(`\nResults: ${passed} passed, ${failed} failed, ${skipped} skipped\n`);
   process.exit(failed > 0 ? 1 : 0);
 }
 
@@ -292,6 +327,247 @@ describe('Getting Comments', () => {
   });
 });
 
+describe('Thread Pagination', () => {
+  async function seedThread(system) {
+    const roots = [];
+
+    for (let i = 0; i < 3; i++) {
+      const root = await system.create({
+        postId: 'post_1',
+        authorId: 'agent_1',
+        content: `Root ${i}`
+      });
+      const reply = await system.reply({
+        postId: 'post_1',
+        parentId: root.id,
+        authorId: 'agent_2',
+        content: `Reply ${i}`
+      });
+      await system.reply({
+        postId: 'post_1',
+        parentId: reply.id,
+        authorId: 'agent_3',
+        content: `Nested ${i}`
+      });
+      roots.push(root);
+    }
+
+    return roots;
+  }
+
+  test('getThreadPage pages by top-level comment', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+    const roots = await seedThread(system);
+
+    const first = await system.getThreadPage('post_1', { sort: 'old', limit: 2 });
+
+    assertEqual(first.comments.length, 2);
+    assertEqual(first.comments[0].id, roots[0].id);
+    assertEqual(first.comments[0].replies[0].replies.length, 1);
+    assert(first.nextCursor);
+
+    const second = await system.getThreadPage('post_1', {
+      sort: 'old',
+      limit: 2,
+      cursor: first.nextCursor
+    });
+
+    assertEqual(second.comments.length, 1);
+    assertEqual(second.comments[0].id, roots[2].id);
+    assertEqual(second.comments[0].replies.length, 1);
+    assertEqual(second.nextCursor, null);
+  });
+
+  test('getThread never promotes replies to roots', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+    await seedThread(system);
+
+    const thread = await system.getThread('post_1', { limit: 2, offset: 1 });
+
+    assertEqual(thread.length, 2);
+    assert(thread.every(comment => comment.parentId === null));
+  });
+
+  test('getThreadPage rejects malformed cursor', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    let code = null;
+
+    try {
+      await system.getThreadPage('post_1', { cursor: 'not-a-cursor' });
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'INVALID_CURSOR');
+  });
+
+  test('getThreadPage cursors keep the sort and pruning of the first page', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+
+    const gone = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'gone' });
+    await system.delete(gone.id, 'agent_1');
+
+    for (let i = 0; i < 4; i++) {
+      const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: `r${i}` });
+      await system.updateScore(root.id, 3 - i);
+    }
+
+    // Read with the default top sort and no pruning, page 2 would start at r1
+    const first = await system.getThreadPage('post_1', { sort: 'old', pruneDeleted: true, limit: 2 });
+    const second = await system.getThreadPage('post_1', { limit: 2, cursor: first.nextCursor });
+    const same = await system.getThreadPage('post_1', { sort: 'old', pruneDeleted: true, limit: 2, cursor: first.nextCursor });
+
+    assertEqual([...first.comments, ...second.comments].map(c => c.content).join(), 'r0,r1,r2,r3');
+    assertEqual(second.nextCursor, null);
+    assertEqual(same.comments.map(c => c.content).join(), 'r2,r3');
+
+    for (const options of [{ sort: 'top' }, { pruneDeleted: false }]) {
+      let code = null;
+      try {
+        await system.getThreadPage('post_1', { ...options, cursor: first.nextCursor });
+      } catch (e) {
+        code = e.code;
+      }
+      assertEqual(code, 'INVALID_CURSOR');
+    }
+  });
+
+  test('getThreadPage rejects a negative offset', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'First' });
+    await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Last' });
+    const codes = [];
+
+    for (const offset of [-1, 0.5, '1']) {
+      try {
+        await system.getThreadPage('post_1', { offset });
+      } catch (e) {
+        codes.push(e.code);
+      }
+    }
+
+    assertEqual(codes.join(), 'INVALID_OFFSET,INVALID_OFFSET,INVALID_OFFSET');
+  });
+
+  test('getThreadPage rejects a limit below one', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'First' });
+    const codes = [];
+
+    for (const limit of [0, -5, 1.5]) {
+      try {
+        await system.getThreadPage('post_1', { limit });
+      } catch (e) {
+        codes.push(e.code);
+      }
+    }
+
+    assertEqual(codes.join(), 'INVALID_LIMIT,INVALID_LIMIT,INVALID_LIMIT');
+  });
+});
+
+describe('Continuation Stubs', () => {
+  test('getThread cuts wide replies with a more stub', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+
+    for (let i = 0; i < 5; i++) {
+      await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: `Reply ${i}` });
+    }
+
+    const thread = await system.getThread('post_1', { sort: 'old', maxReplies: 2 });
+    const replies = thread[0].replies;
+
+    assertEqual(replies.length, 3);
+    assert(isMoreStub(replies[2]));
+    assertEqual(replies[2].parentId, root.id);
+    assertEqual(replies[2].count, 3);
+
+    const more = await system.getSubtree(root.id, {
+      sort: 'old',
+      cursor: replies[2].cursor,
+      maxReplies: 2
+    });
+
+    assertEqual(more.length, 3);
+    assertEqual(more[0].content, 'Reply 2');
+    assertEqual(more[2].count, 1);
+
+    const rest = await system.getSubtree(root.id, { sort: 'old', cursor: more[2].cursor, maxReplies: 2 });
+
+    assertEqual(rest.length, 1);
+    assertEqual(rest[0].content, 'Reply 4');
+  });
+
+  test('getThread cuts deep replies with a more stub', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    let parent = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Depth 0' });
+
+    for (let depth = 1; depth <= 3; depth++) {
+      parent = await system.reply({ postId: 'post_1', parentId: parent.id, authorId: 'agent_1', content: `Depth ${depth}` });
+    }
+
+    const thread = await system.getThread('post_1', { maxDepth: 1 });
+    const depthOne = thread[0].replies[0];
+
+    assertEqual(depthOne.content, 'Depth 1');
+    assert(isMoreStub(depthOne.replies[0]));
+    assertEqual(depthOne.replies[0].parentId, depthOne.id);
+
+    const more = await system.getSubtree(depthOne.id, { cursor: depthOne.replies[0].cursor });
+
+    assertEqual(more[0].content, 'Depth 2');
+    assertEqual(more[0].replies[0].content, 'Depth 3');
+  });
+
+  test('stub cursors resume with the sort and pruning they were made with', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+
+    for (let i = 0; i < 4; i++) {
+      const reply = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: `k${i}` });
+      await system.updateScore(reply.id, i);
+    }
+
+    const [node] = await system.getThread('post_1', { sort: 'old', maxReplies: 2 });
+    const stub = node.replies[2];
+    assertEqual(node.replies.slice(0, 2).map(r => r.content).join(), 'k0,k1');
+
+    const more = await system.getSubtree(root.id, { cursor: stub.cursor });
+    assertEqual(more.map(r => r.content).join(), 'k2,k3');
+
+    let code = null;
+    try {
+      await system.getSubtree(root.id, { cursor: stub.cursor, sort: 'top' });
+    } catch (e) {
+      code = e.code;
+    }
+    assertEqual(code, 'INVALID_CURSOR');
+  });
+
+  test('truncateTree leaves stubs out of flattenTree', () => {
+    const tree = buildTree([
+      { id: '1', parentId: null },
+      { id: '2', parentId: '1' },
+      { id: '3', parentId: '1' }
+    ]);
+
+    const trimmed = truncateTree(tree, { maxReplies: 1 });
+
+    assertEqual(trimmed[0].replies.length, 2);
+    assertEqual(flattenTree(trimmed).length, 2);
+    assertEqual(tree[0].replies.length, 2);
+  });
+});
+
 describe('Deleting Comments', () => {
   test('delete replaces content with [deleted]', async () => {
     const adapter = createMemoryAdapter();
@@ -331,73 +607,2212 @@ describe('Deleting Comments', () => {
   });
 });
 
-describe('Tree Building Utils', () => {
-  test('buildTree creates nested structure', () => {
-    const flat = [
-      { id: '1', parentId: null, content: 'Root' },
-      { id: '2', parentId: '1', content: 'Child' },
-      { id: '3', parentId: null, content: 'Another root' }
-    ];
+describe('Editing Comments', () => {
+  test('edit updates content and keeps revisions', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
 
-    const tree = buildTree(flat);
+    const comment = await system.create({
+      postId: 'post_1',
+      authorId: 'agent_1',
+      content: 'Helo world'
+    });
 
-    assertEqual(tree.length, 2);
-    assertEqual(tree[0].replies.length, 1);
+    const edited = await system.edit(comment.id, 'agent_1', '  Hello world  ');
+
+    assertEqual(edited.content, 'Hello world');
+    assert(edited.editedAt instanceof Date);
+
+    const revisions = await system.getRevisions(comment.id);
+
+    assertEqual(revisions.length, 1);
+    assertEqual(revisions[0].content, 'Helo world');
   });
 
-  test('flattenTree reverses buildTree', () => {
-    const flat = [
-      { id: '1', parentId: null, content: 'Root' },
-      { id: '2', parentId: '1', content: 'Child' }
-    ];
+  test('edit rejects wrong author', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
 
-    const tree = buildTree(flat);
-    const flattened = flattenTree(tree);
+    const comment = await system.create({
+      postId: 'post_1',
+      authorId: 'agent_1',
+      content: 'My comment'
+    });
 
-    assertEqual(flattened.length, 2);
+    let code = null;
+
+    try {
+      await system.edit(comment.id, 'agent_2', 'Hijacked');
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'FORBIDDEN');
+  });
+
+  test('edit rejects deleted comment', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    const comment = await system.create({
+      postId: 'post_1',
+      authorId: 'agent_1',
+      content: 'Soon gone'
+    });
+
+    await system.delete(comment.id, 'agent_1');
+
+    let code = null;
+
+    try {
+      await system.edit(comment.id, 'agent_1', 'Back again');
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'COMMENT_DELETED');
+  });
+
+  test('edit validates content', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    const comment = await system.create({
+      postId: 'post_1',
+      authorId: 'agent_1',
+      content: 'Original'
+    });
+
+    let code = null;
+
+    try {
+      await system.edit(comment.id, 'agent_1', '   ');
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'EMPTY_CONTENT');
   });
 });
 
-describe('Sorting', () => {
-  test('sortComments by top', () => {
-    const comments = [
-      { id: '1', score: 5 },
-      { id: '2', score: 10 },
-      { id: '3', score: 3 }
-    ];
+describe('Voting', () => {
+  test('vote updates score and tallies', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
 
-    const sorted = sortComments(comments, 'top');
+    const comment = await system.create({
+      postId: 'post_1',
+      authorId: 'agent_1',
+      content: 'Vote on me'
+    });
 
-    assertEqual(sorted[0].id, '2');
-    assertEqual(sorted[1].id, '1');
-    assertEqual(sorted[2].id, '3');
+    await system.vote(comment.id, 'agent_2', 'up');
+    const result = await system.vote(comment.id, 'agent_3', 'down');
+
+    assertEqual(result.score, 0);
+    assertEqual(result.upvotes, 1);
+    assertEqual(result.downvotes, 1);
   });
 
-  test('sortComments by new', () => {
-    const comments = [
-      { id: '1', createdAt: new Date('2025-01-01') },
-      { id: '2', createdAt: new Date('2025-01-03') },
-      { id: '3', createdAt: new Date('2025-01-02') }
-    ];
+  test('repeated votes by one agent count once', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
 
-    const sorted = sortComments(comments, 'new');
+    const comment = await system.create({
+      postId: 'post_1',
+      authorId: 'agent_1',
+      content: 'Vote on me'
+    });
 
-    assertEqual(sorted[0].id, '2');
-    assertEqual(sorted[1].id, '3');
-    assertEqual(sorted[2].id, '1');
+    await system.vote(comment.id, 'agent_2', 'up');
+    const result = await system.vote(comment.id, 'agent_2', 'up');
+
+    assertEqual(result.score, 1);
+    assertEqual(result.upvotes, 1);
   });
 
-  test('sortComments by controversial', () => {
-    const comments = [
-      { id: '1', upvotes: 10, downvotes: 1 },  // Not controversial
-      { id: '2', upvotes: 10, downvotes: 9 },  // Very controversial
-      { id: '3', upvotes: 5, downvotes: 5 }    // Most controversial
-    ];
+  test('vote flips and clears', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
 
-    const sorted = sortComments(comments, 'controversial');
+    const comment = await system.create({
+      postId: 'post_1',
+      authorId: 'agent_1',
+      content: 'Vote on me'
+    });
 
-    // id 2 has highest total with good balance
-    assertEqual(sorted[0].id, '2');
+    await system.vote(comment.id, 'agent_2', 'up');
+    const flipped = await system.vote(comment.id, 'agent_2', 'down');
+
+    assertEqual(flipped.score, -1);
+    assertEqual(flipped.upvotes, 0);
+    assertEqual(flipped.downvotes, 1);
+
+    const cleared = await system.vote(comment.id, 'agent_2', 'clear');
+
+    assertEqual(cleared.score, 0);
+    assertEqual(cleared.downvotes, 0);
+    assertEqual(await system.getVote(comment.id, 'agent_2'), 0);
+  });
+
+  test('vote rejects unknown direction', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    const comment = await system.create({
+      postId: 'post_1',
+      authorId: 'agent_1',
+      content: 'Vote on me'
+    });
+
+    let code = null;
+
+    try {
+      await system.vote(comment.id, 'agent_2', 'sideways');
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'INVALID_VOTE');
+  });
+
+  test('votes drive controversial sort', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    const calm = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Calm' });
+    const heated = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Heated' });
+
+    await system.vote(calm.id, 'agent_2', 'up');
+    await system.vote(heated.id, 'agent_2', 'up');
+    await system.vote(heated.id, 'agent_3', 'down');
+
+    const thread = await system.getThread('post_1', { sort: 'controversial' });
+
+    assertEqual(thread[0].id, heated.id);
+  });
+});
+
+describe('Events and Hooks', () => {
+  test('emits lifecycle events with comment and agent', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+    const events = [];
+
+    for (const name of ['comment:created', 'comment:replied', 'comment:edited', 'comment:deleted', 'comment:scored']) {
+      system.on(name, payload => events.push([name, payload]));
+    }
+
+    const parent = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Parent' });
+    const reply = await system.reply({ postId: 'post_1', parentId: parent.id, authorId: 'agent_2', content: 'Reply' });
+    await system.edit(reply.id, 'agent_2', 'Edited reply');
+    await system.vote(parent.id, 'agent_3', 'up');
+    await system.delete(reply.id, 'agent_2');
+
+    assertEqual(events.map(([name]) => name).join(','), 'comment:created,comment:replied,comment:edited,comment:scored,comment:deleted');
+    assertEqual(events[1][1].parent.id, parent.id);
+    assertEqual(events[2][1].previous.content, 'Reply');
+    assertEqual(events[3][1].comment.score, 1);
+    assertEqual(events[3][1].agentId, 'agent_3');
+    assert(events[4][1].comment.isDeleted);
+  });
+
+  test('before hook can mutate the comment', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter, {
+      hooks: {
+        beforeCreate: ({ comment }) => {
+          comment.content = comment.content.toUpperCase();
+        }
+      }
+    });
+
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'quiet' });
+
+    assertEqual(comment.content, 'QUIET');
+  });
+
+  test('before hook can veto an operation', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+    let emitted = false;
+
+    system.on('comment:replied', () => { emitted = true; });
+    const removeHook = system.hook('beforeReply', () => {
+      throw new CommentError('Replies are closed', 'REPLIES_CLOSED');
+    });
+
+    const parent = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Parent' });
+    let code = null;
+
+    try {
+      await system.reply({ postId: 'post_1', parentId: parent.id, authorId: 'agent_2', content: 'Reply' });
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'REPLIES_CLOSED');
+    assert(!emitted);
+    assertEqual(await system.getCount('post_1'), 1);
+
+    removeHook();
+    await system.reply({ postId: 'post_1', parentId: parent.id, authorId: 'agent_2', content: 'Reply' });
+    assert(emitted);
+  });
+
+  test('rejects unknown hook names', () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    let threw = false;
+
+    try {
+      system.hook('afterCreate', () => {});
+    } catch (e) {
+      threw = true;
+    }
+
+    assert(threw);
+  });
+});
+
+describe('Moderation Pipeline', () => {
+  test('validators can transform content', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter, {
+      moderation: [validators.bannedWords(['darn'], { action: 'mask' })]
+    });
+
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Darn it' });
+
+    assertEqual(comment.content, '**** it');
+    assertEqual(comment.status, 'published');
+  });
+
+  test('validators can reject with a code', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter, {
+      moderation: [validators.linkLimit(1)]
+    });
+
+    const parent = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'See https://a.example' });
+    let code = null;
+
+    try {
+      await system.reply({
+        postId: 'post_1',
+        parentId: parent.id,
+        authorId: 'agent_2',
+        content: 'https://a.example and https://b.example'
+      });
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'TOO_MANY_LINKS');
+  });
+
+  test('flagged comments are stored as pending', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter, {
+      moderation: [async () => ({ flag: 'REVIEW' })]
+    });
+
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Hmm' });
+
+    assertEqual(comment.status, 'pending');
+    assertEqual(comment.flags[0], 'REVIEW');
+  });
+
+  test('duplicateContent rejects repeats by the same author', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter, {
+      moderation: [validators.duplicateContent()]
+    });
+
+    await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Buy now' });
+    await system.create({ postId: 'post_1', authorId: 'agent_2', content: 'Buy now' });
+    let code = null;
+
+    try {
+      await system.create({ postId: 'post_2', authorId: 'agent_1', content: '  buy   NOW ' });
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'DUPLICATE_CONTENT');
+  });
+
+  test('spamFilter flags and rejects by score', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter, {
+      moderation: [validators.spamFilter()]
+    });
+
+    const shouty = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'BUY BUY BUY BUY BUY BUY NOW' });
+    assertEqual(shouty.status, 'pending');
+
+    let code = null;
+
+    try {
+      await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'WINNNNNNNNNNN WIN WIN WIN WIN WIN WIN' });
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'SPAM');
+  });
+});
+
+describe('Moderators', () => {
+  function createModeratedSystem() {
+    const adapter = createMemoryAdapter();
+    return new CommentSystem(adapter, {
+      canModerate: async agentId => agentId === 'mod_1'
+    });
+  }
+
+  test('remove hides content and restore brings it back', async () => {
+    const system = createModeratedSystem();
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Off topic' });
+
+    const removed = await system.remove(comment.id, 'mod_1', 'Spam');
+
+    assertEqual(removed.content, '[removed]');
+    assertEqual(removed.removalReason, 'Spam');
+    assertEqual((await system.getComment(comment.id)).content, '[removed]');
+    assertEqual((await system.getThread('post_1'))[0].content, '[removed]');
+
+    const restored = await system.restore(comment.id, 'mod_1');
+
+    assertEqual(restored.content, 'Off topic');
+    assert(!restored.isDeleted);
+  });
+
+  test('moderator actions require canModerate', async () => {
+    const system = createModeratedSystem();
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Mine' });
+    let code = null;
+
+    try {
+      await system.remove(comment.id, 'agent_1');
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'FORBIDDEN');
+  });
+
+  test('lock blocks replies in the subtree', async () => {
+    const system = createModeratedSystem();
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const child = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Child' });
+
+    await system.lock(root.id, 'mod_1');
+    let code = null;
+
+    try {
+      await system.reply({ postId: 'post_1', parentId: child.id, authorId: 'agent_3', content: 'Too late' });
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'LOCKED');
+
+    await system.unlock(root.id, 'mod_1');
+    await system.reply({ postId: 'post_1', parentId: child.id, authorId: 'agent_3', content: 'Open again' });
+  });
+
+  test('pinned comments lead the thread', async () => {
+    const system = createModeratedSystem();
+    const quiet = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Quiet' });
+    const loud = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Loud' });
+
+    await system.vote(loud.id, 'agent_2', 'up');
+    await system.pin(quiet.id, 'mod_1');
+
+    const thread = await system.getThread('post_1', { sort: 'top' });
+
+    assertEqual(thread[0].id, quiet.id);
+    assertEqual(thread[1].id, loud.id);
+  });
+
+  test('pin rejects replies', async () => {
+    const system = createModeratedSystem();
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const child = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Child' });
+    let code = null;
+
+    try {
+      await system.pin(child.id, 'mod_1');
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'NOT_TOP_LEVEL');
+  });
+});
+
+describe('Rate Limiting', () => {
+  test('rejects comments beyond the burst with retryAfter', async () => {
+    let now = 0;
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter, {
+      rateLimit: { capacity: 2, refillPerSecond: 0.5, now: () => now }
+    });
+
+    const first = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'One' });
+    await system.reply({ postId: 'post_1', parentId: first.id, authorId: 'agent_1', content: 'Two' });
+
+    let error = null;
+
+    try {
+      await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Three' });
+    } catch (e) {
+      error = e;
+    }
+
+    assertEqual(error.code, 'RATE_LIMITED');
+    assertEqual(error.retryAfter, 2);
+
+    await system.create({ postId: 'post_1', authorId: 'agent_2', content: 'Other agent' });
+
+    now = 2000;
+    await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Three' });
+  });
+
+  test('perPost keeps separate buckets per post', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter, {
+      rateLimit: { capacity: 1, refillPerSecond: 0.01, perPost: true }
+    });
+
+    await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'One' });
+    await system.create({ postId: 'post_2', authorId: 'agent_1', content: 'One' });
+
+    let code = null;
+
+    try {
+      await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Two' });
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'RATE_LIMITED');
+  });
+
+  test('concurrent comments cannot share a token', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), {
+      rateLimit: { capacity: 3, refillPerSecond: 0.01 }
+    });
+
+    const results = await Promise.allSettled(Array.from({ length: 50 }, (_, i) => (
+      system.create({ postId: 'post_1', authorId: 'agent_1', content: `Flood ${i}` })
+    )));
+
+    assertEqual(results.filter(r => r.status === 'fulfilled').length, 3);
+    assert(results.filter(r => r.status === 'rejected').every(r => r.reason.code === 'RATE_LIMITED'));
+  });
+});
+
+describe('Live Subscriptions', () => {
+  // Deliveries are queued, so let them run before checking
+  const settle = () => new Promise(resolve => setTimeout(resolve, 5));
+
+  test('delivers a post\'s events in sequence order', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), { feed: createMemoryFeed() });
+    const events = [];
+    const unsubscribe = await system.subscribe('post_1', event => events.push(event));
+
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Hello' });
+    await system.create({ postId: 'post_2', authorId: 'agent_1', content: 'Elsewhere' });
+    await system.vote(comment.id, 'agent_2', 'up');
+    await system.edit(comment.id, 'agent_1', 'Hello again');
+    await system.delete(comment.id, 'agent_1');
+    await settle();
+
+    assertEqual(events.map(e => e.type).join(), 'comment:created,comment:scored,comment:edited,comment:deleted');
+    assertEqual(events.map(e => e.seq).join(), '1,3,4,5');
+    assertEqual(events[1].comment.score, 1);
+    assertEqual(events[2].comment.content, 'Hello again');
+    assertEqual(events[3].agentId, 'agent_1');
+
+    unsubscribe();
+    await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Unheard' });
+    await settle();
+    assertEqual(events.length, 4);
+  });
+
+  test('replays missed events from since, then goes live', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), { feed: {}, canModerate: () => true });
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const since = await system.getFeedPosition('post_1');
+    const missed = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Missed' });
+    await system.remove(root.id, 'agent_1');
+
+    const events = [];
+    await system.subscribe('post_1', async event => {
+      await new Promise(resolve => setImmediate(resolve));
+      events.push(event);
+    }, { since });
+    await system.reply({ postId: 'post_1', parentId: missed.id, authorId: 'agent_3', content: 'Live' });
+    await settle();
+
+    assertEqual(events.map(e => e.type).join(), 'comment:replied,comment:removed,comment:replied');
+    assertEqual(events[1].comment.content, '[removed]');
+    assertEqual(events[2].comment.content, 'Live');
+  });
+
+  test('sends feed:reset when missed events are gone', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), { feed: { maxEvents: 2 } });
+    for (let i = 0; i < 4; i++) {
+      await system.create({ postId: 'post_1', authorId: 'agent_1', content: `Comment ${i}` });
+    }
+
+    const dropped = [];
+    const restarted = [];
+    await system.subscribe('post_1', event => dropped.push(`${event.type}@${event.seq}`), { since: 1 });
+    // A since from before a restart is ahead of the feed
+    await system.subscribe('post_1', event => restarted.push(`${event.type}@${event.seq}`), { since: 99 });
+    await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'After' });
+    await settle();
+
+    assertEqual(dropped.join(), 'feed:reset@4,comment:created@5');
+    assertEqual(restarted.join(), 'feed:reset@4,comment:created@5');
+  });
+
+  test('reports listener errors without failing writes', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), { feed: {} });
+    const errors = [];
+    system.on('feed:error', ({ error }) => errors.push(error.message));
+    await system.subscribe('post_1', () => {
+      throw new Error('Socket closed');
+    });
+
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Hello' });
+    await settle();
+
+    assert(comment.id);
+    assertEqual(errors.join(), 'Socket closed');
+  });
+
+  test('rejects subscriptions without a feed or with a bad since', async () => {
+    let error = null;
+    try {
+      await new CommentSystem(createMemoryAdapter()).subscribe('post_1', () => {});
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /feed/.test(error.message));
+
+    error = null;
+    try {
+      await new CommentSystem(createMemoryAdapter(), { feed: {} }).subscribe('post_1', () => {}, { since: -1 });
+    } catch (e) {
+      error = e;
+    }
+    assertEqual(error && error.code, 'INVALID_SEQUENCE');
+  });
+
+  test('erased content is not replayed', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), { feed: {} });
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const own = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'gdpr', content: 'my private data' });
+    await system.reply({ postId: 'post_1', parentId: own.id, authorId: 'agent_2', content: 'Answer' });
+    await system.create({ postId: 'post_2', authorId: 'gdpr', content: 'more private data' });
+
+    const live = [];
+    await system.subscribe('post_2', event => live.push(event));
+    await system.purgeAgent('gdpr', { mode: 'remove' });
+    await settle();
+
+    const replayed = { post_1: [], post_2: [] };
+    for (const postId of Object.keys(replayed)) {
+      await system.subscribe(postId, event => replayed[postId].push(event), { since: 0 });
+    }
+    await settle();
+
+    assertEqual(live.map(e => e.type).join(), 'comment:purged');
+    assert(!JSON.stringify(replayed).includes('private'), 'replay leaked erased content');
+    assert(!JSON.stringify(replayed).includes('gdpr'), 'replay names the erased agent');
+    // The comment with a reply stays as [deleted]; the other is removed
+    assertEqual(replayed.post_1.map(e => e.type).join(), 'comment:created,comment:replied,comment:deleted');
+    assertEqual(replayed.post_2.map(e => e.type).join(), 'comment:purged');
+  });
+
+  test('purges drop earlier events and publish IDs only', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), { feed: {} });
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Secret' });
+    await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Also secret' });
+    await system.purgeComment(root.id, { cascade: true });
+
+    const replayed = [];
+    await system.subscribe('post_1', event => replayed.push(event), { since: 0 });
+    await settle();
+
+    assertEqual(replayed.length, 1);
+    assertEqual(replayed[0].type, 'comment:purged');
+    assertEqual(replayed[0].count, 2);
+    assertEqual(Object.keys(replayed[0].comment).join(), 'id,postId,parentId');
+  });
+
+  test('shares a feed between systems', async () => {
+    const feed = createMemoryFeed();
+    const writer = new CommentSystem(createMemoryAdapter(), { feed });
+    const reader = new CommentSystem(createMemoryAdapter(), { feed });
+    const events = [];
+    await reader.subscribe('post_1', event => events.push(event));
+
+    await writer.create({ postId: 'post_1', authorId: 'agent_1', content: 'Hello' });
+    await settle();
+
+    assertEqual(events.length, 1);
+    assertEqual(events[0].comment.content, 'Hello');
+  });
+});
+
+describe('Purging', () => {
+  test('purgeComment requires cascade for comments with replies', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const child = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Child' });
+    await system.reply({ postId: 'post_1', parentId: child.id, authorId: 'agent_3', content: 'Grandchild' });
+    await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Other' });
+
+    let code = null;
+
+    try {
+      await system.purgeComment(root.id);
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'HAS_REPLIES');
+
+    const purged = await system.purgeComment(root.id, { cascade: true });
+
+    assertEqual(purged, 3);
+    assertEqual(await system.getCount('post_1'), 1);
+    assertEqual(await adapter.getComment(child.id), null);
+  });
+
+  test('purgeAgent anonymises comments and takes back votes and reactions', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    const mine = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Personal info' });
+    const theirs = await system.create({ postId: 'post_2', authorId: 'agent_2', content: 'Hello' });
+    await system.edit(mine.id, 'agent_1', 'More personal info');
+    await system.vote(theirs.id, 'agent_1', 'up');
+    await system.vote(theirs.id, 'agent_3', 'up');
+    await system.react(theirs.id, 'agent_1', 'heart');
+
+    const result = await system.purgeAgent('agent_1');
+
+    assertEqual(result.anonymized, 1);
+
+    const anonymised = await system.getComment(mine.id);
+
+    assertEqual(anonymised.content, '[deleted]');
+    assertEqual(anonymised.authorId, null);
+    assertEqual((await adapter.getRevisions(mine.id)).length, 0);
+    assertEqual(await system.getVote(theirs.id, 'agent_1'), 0);
+
+    const voted = await system.getComment(theirs.id);
+
+    assertEqual(voted.score, 1);
+    assertEqual(voted.upvotes, 1);
+    assertEqual(voted.reactions.heart ?? 0, 0);
+  });
+
+  test('purgeAgent remove mode keeps comments that have replies', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Reply' });
+    const leaf = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Leaf' });
+
+    const result = await system.purgeAgent('agent_1', { mode: 'remove' });
+
+    assertEqual(result.removed, 1);
+    assertEqual(result.anonymized, 1);
+    assertEqual(await adapter.getComment(leaf.id), null);
+    assertEqual((await system.getThread('post_1'))[0].replies.length, 1);
+  });
+
+  test('deletePost drops the whole thread', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Reply' });
+    await system.create({ postId: 'post_2', authorId: 'agent_1', content: 'Elsewhere' });
+
+    assertEqual(await system.deletePost('post_1'), 2);
+    assertEqual(await system.getCount('post_1'), 0);
+    assertEqual(await system.getCount('post_2'), 1);
+  });
+
+  test('pruneDeleted drops deleted leaves from threads', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const child = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Child' });
+    const kept = await system.create({ postId: 'post_1', authorId: 'agent_3', content: 'Kept' });
+    const parent = await system.create({ postId: 'post_1', authorId: 'agent_3', content: 'Parent' });
+    await system.reply({ postId: 'post_1', parentId: parent.id, authorId: 'agent_4', content: 'Live reply' });
+
+    await system.delete(child.id, 'agent_2');
+    await system.delete(root.id, 'agent_1');
+    await system.delete(parent.id, 'agent_3');
+
+    const thread = await system.getThread('post_1', { sort: 'old', pruneDeleted: true });
+
+    assertEqual(thread.length, 2);
+    assertEqual(thread[0].id, kept.id);
+    assertEqual(thread[1].id, parent.id);
+    assertEqual(thread[1].replies.length, 1);
+    assertEqual((await system.getThread('post_1')).length, 3);
+  });
+});
+
+describe('Reactions', () => {
+  test('keeps one reaction per type per agent', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Hot take' });
+
+    await system.react(comment.id, 'agent_2', '🔥');
+    await system.react(comment.id, 'agent_2', '🔥');
+    await system.react(comment.id, 'agent_2', '🤔');
+    const counts = await system.react(comment.id, 'agent_3', '🔥');
+
+    assertEqual(counts['🔥'], 2);
+    assertEqual(counts['🤔'], 1);
+
+    const after = await system.unreact(comment.id, 'agent_2', '🔥');
+
+    assertEqual(after['🔥'], 1);
+    assertEqual((await system.getComment(comment.id)).score, 0);
+  });
+
+  test('includes counts on comments from every read path', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const reply = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Reply' });
+
+    await system.react(reply.id, 'agent_1', 'insightful');
+
+    assertEqual((await system.getComment(reply.id)).reactions.insightful, 1);
+    assertEqual(Object.keys((await system.getComment(root.id)).reactions).length, 0);
+    assertEqual((await system.getThread('post_1'))[0].replies[0].reactions.insightful, 1);
+    assertEqual((await system.getReplies(root.id))[0].reactions.insightful, 1);
+  });
+
+  test('enforces the allowed reaction set', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), { allowedReactions: ['👍'] });
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Hello' });
+    const events = [];
+    system.on('comment:reacted', ({ reaction }) => events.push(reaction));
+
+    let code = null;
+
+    try {
+      await system.react(comment.id, 'agent_2', '🔥');
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'INVALID_REACTION');
+
+    await system.react(comment.id, 'agent_2', '👍');
+
+    assertEqual(events.join(','), '👍');
+  });
+
+  test('rejects reactions to deleted comments', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Gone soon' });
+
+    await system.delete(comment.id, 'agent_1');
+
+    let code = null;
+
+    try {
+      await system.react(comment.id, 'agent_2', '👍');
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'COMMENT_DELETED');
+  });
+});
+
+describe('Notifications', () => {
+  test('parseMentions finds unique names and skips email addresses', () => {
+    const names = parseMentions('@alice see @bob-2, mail carol@example.com or @alice again.');
+
+    assertEqual(names.join(','), 'alice,bob-2');
+  });
+
+  test('notifies the parent author and mentioned agents, never the author', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Hi @agent_3 and @agent_1' });
+    const reply = await system.reply({
+      postId: 'post_1',
+      parentId: root.id,
+      authorId: 'agent_2',
+      content: 'Agreed @agent_1 @agent_3 @agent_2'
+    });
+    await system.reply({ postId: 'post_1', parentId: reply.id, authorId: 'agent_2', content: 'Self reply' });
+
+    const first = (await system.getNotifications('agent_1')).notifications;
+    const third = (await system.getNotifications('agent_3')).notifications;
+
+    assertEqual(first.length, 1);
+    assertEqual(first[0].type, 'reply');
+    assertEqual(first[0].commentId, reply.id);
+    assertEqual(first[0].actorId, 'agent_2');
+    assertEqual(first[0].isRead, false);
+    assertEqual(third.map(n => n.type).join(','), 'mention,mention');
+    assertEqual((await system.getNotifications('agent_2')).notifications.length, 0);
+  });
+
+  test('resolveMentions maps names to agent IDs', async () => {
+    const agents = new Map([['alice', 'agent_1']]);
+    const system = new CommentSystem(createMemoryAdapter(), {
+      resolveMentions: async names => names.map(name => agents.get(name) ?? null)
+    });
+    const created = [];
+    system.on('notification:created', ({ notification }) => created.push(notification));
+
+    await system.create({ postId: 'post_1', authorId: 'agent_2', content: 'Ping @alice and @nobody' });
+
+    assertEqual(created.length, 1);
+    assertEqual(created[0].agentId, 'agent_1');
+    assertEqual(created[0].type, 'mention');
+  });
+
+  test('held comments notify once approved', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), {
+      moderation: [async () => ({ flag: 'REVIEW' })],
+      canModerate: async () => true
+    });
+
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Hello @agent_2' });
+
+    assertEqual((await system.getNotifications('agent_2')).notifications.length, 0);
+
+    await system.approve(comment.id, 'mod_1');
+    await system.approve(comment.id, 'mod_1');
+
+    assertEqual((await system.getNotifications('agent_2')).notifications.length, 1);
+  });
+
+  test('pages notifications and marks them read', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+
+    for (let i = 0; i < 3; i++) {
+      await system.create({ postId: 'post_1', authorId: 'agent_2', content: `Mention ${i} @agent_1` });
+    }
+
+    const page = await system.getNotifications('agent_1', { limit: 2 });
+    const rest = await system.getNotifications('agent_1', { limit: 2, cursor: page.nextCursor });
+
+    assertEqual(page.notifications.length, 2);
+    assertEqual(rest.notifications.length, 1);
+    assertEqual(rest.nextCursor, null);
+
+    assertEqual(await system.markRead('agent_1', [page.notifications[0].id]), 1);
+    assertEqual((await system.getNotifications('agent_1', { unreadOnly: true })).notifications.length, 2);
+    assertEqual(await system.markRead('agent_1'), 2);
+    assertEqual((await system.getNotifications('agent_1', { unreadOnly: true })).notifications.length, 0);
+  });
+});
+
+describe('Agent Activity', () => {
+  async function seed(system) {
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'First' });
+    const other = await system.create({ postId: 'post_2', authorId: 'agent_1', content: 'Second' });
+    await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Reply' });
+    const own = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_1', content: 'Self reply' });
+    await system.updateScore(other.id, 4);
+    await system.delete(own.id, 'agent_1');
+    return { root, other, own };
+  }
+
+  test('lists an agent\'s comments across posts with a cursor', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const { root, other, own } = await seed(system);
+
+    const page = await system.getAgentComments('agent_1', { sort: 'old', limit: 1 });
+    const rest = await system.getAgentComments('agent_1', { sort: 'old', limit: 1, cursor: page.nextCursor });
+    const all = await system.getAgentComments('agent_1', { sort: 'old', includeDeleted: true });
+
+    assertEqual(page.comments[0].id, root.id);
+    assertEqual(rest.comments[0].id, other.id);
+    assertEqual(rest.nextCursor, null);
+    assertEqual(all.comments.map(c => c.id).join(), [root.id, other.id, own.id].join());
+  });
+
+  test('stats match between the adapter and the fallback', async () => {
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+    await seed(system);
+
+    const { getAgentStats, ...withoutStats } = adapter;
+    const fallback = new CommentSystem(withoutStats);
+
+    const expected = { commentCount: 2, totalScore: 4, repliesReceived: 1, averageDepth: 0 };
+
+    assertEqual(JSON.stringify(await system.getAgentStats('agent_1')), JSON.stringify(expected));
+    assertEqual(JSON.stringify(await fallback.getAgentStats('agent_1')), JSON.stringify(expected));
+  });
+
+  test('purged agents have no history left', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    await seed(system);
+
+    await system.purgeAgent('agent_1');
+
+    assertEqual((await system.getAgentComments('agent_1', { includeDeleted: true })).comments.length, 0);
+    assertEqual((await system.getAgentStats('agent_1')).commentCount, 0);
+  });
+});
+
+describe('Transactions and Counters', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('a lock applied while a reply is being checked still stops it', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), {
+      canModerate: async () => true,
+      moderation: [async () => {
+        await delay(10);
+      }]
+    });
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+
+    // The reply passes its first lock check, then waits on the validator
+    const replying = system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Late' });
+    await system.lock(root.id, 'mod_1');
+    let code = null;
+
+    try {
+      await replying;
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'LOCKED');
+  });
+
+  test('a parent deleted or removed while a reply is being checked stops it', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), {
+      canModerate: async () => true,
+      moderation: [async () => {
+        await delay(10);
+      }]
+    });
+    const codes = [];
+
+    for (const [action, settle] of [
+      ['delete', parent => system.delete(parent.id, 'agent_1')],
+      ['remove', parent => system.remove(parent.id, 'mod_1')]
+    ]) {
+      const parent = await system.create({ postId: 'post_1', authorId: 'agent_1', content: action });
+
+      // The reply passes its first parent check, then waits on the validator
+      const replying = system.reply({ postId: 'post_1', parentId: parent.id, authorId: 'agent_2', content: 'Late' });
+      await settle(parent);
+
+      try {
+        await replying;
+      } catch (e) {
+        codes.push(e.code);
+      }
+    }
+
+    assertEqual(codes.join(), 'PARENT_DELETED,PARENT_REMOVED');
+    assertEqual((await system.getThread('post_1')).every(root => root.replies.length === 0), true);
+  });
+
+  test('concurrent votes by one agent count once', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Vote' });
+
+    await Promise.all([
+      system.vote(comment.id, 'agent_2', 'up'),
+      system.vote(comment.id, 'agent_2', 'up')
+    ]);
+
+    const voted = await system.getComment(comment.id);
+    assertEqual(voted.score, 1);
+    assertEqual(voted.upvotes, 1);
+  });
+
+  test('keeps replyCount and post counts as comments come and go', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const replies = await Promise.all([1, 2, 3].map(i => (
+      system.reply({ postId: 'post_1', parentId: root.id, authorId: `agent_${i}`, content: `Reply ${i}` })
+    )));
+
+    assertEqual((await system.getComment(root.id)).replyCount, 3);
+    assertEqual((await system.getThread('post_1'))[0].replyCount, 3);
+    assertEqual(await system.getCount('post_1'), 4);
+
+    await system.delete(replies[0].id, 'agent_1');
+    await system.purgeComment(replies[1].id);
+
+    assertEqual((await system.getComment(root.id)).replyCount, 2);
+    assertEqual(await system.getCount('post_1'), 3);
+  });
+
+  test('cached adapters see counter changes', async () => {
+    const system = new CommentSystem(withCache(createMemoryAdapter()));
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    assertEqual((await system.getComment(root.id)).replyCount, 0);
+
+    await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Reply' });
+
+    assertEqual((await system.getComment(root.id)).replyCount, 1);
+    assertEqual(await system.getCount('post_1'), 2);
+  });
+
+  test('a reply during a cascade purge is not orphaned', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const child = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Child' });
+
+    const [purged, replied] = await Promise.allSettled([
+      system.purgeComment(root.id, { cascade: true }),
+      system.reply({ postId: 'post_1', parentId: child.id, authorId: 'agent_3', content: 'Late' })
+    ]);
+
+    assertEqual(purged.status, 'fulfilled');
+    assertEqual(replied.status === 'fulfilled' ? 'stored' : replied.reason.code, 'PARENT_NOT_FOUND');
+    assertEqual((await system.getThread('post_1')).length, 0);
+    assertEqual(await system.getCount('post_1'), 0);
+  });
+
+  test('validators run before the transaction', async () => {
+    let release;
+    const gate = new Promise(resolve => {
+      release = resolve;
+    });
+    const system = new CommentSystem(createMemoryAdapter(), {
+      moderation: [async content => {
+        if (content !== 'Slow') return;
+        validating();
+        await gate;
+      }]
+    });
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const order = [];
+    let validating;
+    const started = new Promise(resolve => {
+      validating = resolve;
+    });
+    system.hook('beforeReply', () => order.push('hook'));
+
+    const replying = system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Slow' })
+      .then(() => order.push('reply'));
+    await started;
+    const voting = system.vote(root.id, 'agent_3', 'up').then(() => order.push('vote'));
+    setTimeout(release, 20);
+    await Promise.all([replying, voting]);
+
+    // A slow validator holding the transaction would make the vote wait
+    assertEqual(order.join(), 'vote,hook,reply');
+  });
+
+  test('hooks and canModerate run outside the transaction', async () => {
+    let checking;
+    const started = new Promise(resolve => {
+      checking = resolve;
+    });
+    const system = new CommentSystem(createMemoryAdapter(), {
+      canModerate: async () => {
+        checking();
+        await delay(20);
+        return true;
+      }
+    });
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+
+    // A hook that writes through the same system would deadlock inside a transaction
+    system.hook('beforeReply', async ({ parent }) => {
+      await system.vote(parent.id, 'agent_3', 'up');
+    });
+    system.hook('beforeVote', async ({ comment }) => {
+      await system.getComment(comment.id);
+    });
+
+    const reply = await Promise.race([
+      system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Reply' }),
+      delay(500).then(() => null)
+    ]);
+
+    assert(reply, 'reply deadlocked');
+    assertEqual((await system.getComment(root.id)).score, 1);
+
+    // A slow canModerate holding the transaction would make the vote wait
+    const order = [];
+    const locking = system.lock(root.id, 'mod_1').then(() => order.push('lock'));
+    await started;
+    await system.vote(reply.id, 'agent_4', 'up').then(() => order.push('vote'));
+    await locking;
+
+    assertEqual(order.join(), 'vote,lock');
+  });
+});
+
+describe('Reply Counts', () => {
+  async function seed(system) {
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const first = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'First' });
+    const second = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_3', content: 'Second' });
+    const nested = await system.reply({ postId: 'post_1', parentId: first.id, authorId: 'agent_3', content: 'Nested' });
+    return { root, first, second, nested };
+  }
+
+  test('exposes replyCount and descendantCount through read methods', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const { root, first } = await seed(system);
+
+    const fetched = await system.getComment(root.id);
+    assertEqual(fetched.replyCount, 2);
+    assertEqual(fetched.descendantCount, 3);
+
+    const replies = await system.getReplies(root.id, { sort: 'old' });
+    assertEqual(replies.map(r => `${r.replyCount}/${r.descendantCount}`).join(), '1/1,0/0');
+
+    // Budgets cut replies from the response, not from the counts
+    const [node] = await system.getThread('post_1', { sort: 'old', maxReplies: 1, maxDepth: 1 });
+    assertEqual(node.descendantCount, 3);
+    assertEqual(node.replies[0].id, first.id);
+    assertEqual(node.replies[0].descendantCount, 1);
+  });
+
+  test('purges take counts down the whole chain', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const { root, first, nested } = await seed(system);
+
+    await system.delete(nested.id, 'agent_3');
+    assertEqual((await system.getComment(root.id)).descendantCount, 3);
+
+    await system.purgeComment(first.id, { cascade: true });
+
+    const fetched = await system.getComment(root.id);
+    assertEqual(fetched.replyCount, 1);
+    assertEqual(fetched.descendantCount, 1);
+  });
+
+  test('fills in counts for adapters without counters', async () => {
+    const inner = createMemoryAdapter();
+    const strip = ({ replyCount, descendantCount, ...comment }) => comment;
+    const adapter = {
+      ...inner,
+      getComment: async id => {
+        const comment = await inner.getComment(id);
+        return comment && strip(comment);
+      },
+      getComments: async (postId, options) => (await inner.getComments(postId, options)).map(strip)
+    };
+    const system = new CommentSystem(adapter);
+    await seed(system);
+
+    const [node] = await system.getThread('post_1');
+
+    assertEqual(node.replyCount, 2);
+    assertEqual(node.descendantCount, 3);
+    assertEqual(node.replies.find(r => r.content === 'First').descendantCount, 1);
+  });
+});
+
+describe('Search', () => {
+  test('ranks comments by relevance', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+
+    const passing = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Caching came up once in the meeting about deploys' });
+    const focused = await system.create({ postId: 'post_1', authorId: 'agent_2', content: 'Caching, caching and more Caching' });
+    await system.create({ postId: 'post_1', authorId: 'agent_3', content: 'Nothing relevant here' });
+
+    const { comments, nextCursor } = await system.search('caching');
+
+    assertEqual(comments.map(c => c.id).join(), [focused.id, passing.id].join());
+    assertEqual(nextCursor, null);
+  });
+
+  test('keeps the index in step with edits, deletes and removals', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), {
+      canModerate: async () => true
+    });
+    const found = async query => (await system.search(query)).comments.map(c => c.id);
+
+    const edited = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Original wording' });
+    const deleted = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Soon gone' });
+    const removed = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Off-topic rant' });
+
+    await system.edit(edited.id, 'agent_1', 'Revised wording');
+    await system.delete(deleted.id, 'agent_1');
+    await system.remove(removed.id, 'mod_1');
+
+    assertEqual((await found('original')).length, 0);
+    assertEqual((await found('revised'))[0], edited.id);
+    assertEqual((await found('gone')).length, 0);
+    assertEqual((await found('rant')).length, 0);
+
+    await system.restore(removed.id, 'mod_1');
+    assertEqual((await found('rant'))[0], removed.id);
+  });
+
+  test('pages results with a cursor', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+
+    for (let i = 0; i < 3; i++) {
+      await system.create({ postId: 'post_1', authorId: 'agent_1', content: `Update number ${i}` });
+    }
+
+    const page = await system.search('update', { sort: 'old', limit: 2 });
+    const rest = await system.search('update', { sort: 'old', limit: 2, cursor: page.nextCursor });
+
+    assertEqual(page.comments.map(c => c.content).join('|'), 'Update number 0|Update number 1');
+    assertEqual(rest.comments.map(c => c.content).join('|'), 'Update number 2');
+    assertEqual(rest.nextCursor, null);
+  });
+
+  test('rejects queries without words and invalid dates', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const codes = [];
+
+    for (const [query, options] of [['  *** ', {}], ['word', { since: 'not a date' }]]) {
+      try {
+        await system.search(query, options);
+      } catch (e) {
+        codes.push(e.code);
+      }
+    }
+
+    assertEqual(codes.join(), 'INVALID_QUERY,INVALID_DATE');
+  });
+
+  test('createSearchIndex matches phrases and prefixes', async () => {
+    const index = createSearchIndex();
+    index.add('a', 'Émile wrote the parser');
+    index.add('b', 'The parsers were written by someone else');
+
+    assertEqual(Array.from(index.search('émile').keys()).join(), 'a');
+    assertEqual(Array.from(index.search('pars*').keys()).sort().join(), 'a,b');
+    assertEqual(Array.from(index.search('"the parser"').keys()).join(), 'a');
+    assertEqual(parseSearchQuery('"Rate limit" retry*').map(c => `${c.words.join(' ')}:${c.prefix}`).join(), 'rate limit:false,retry:true');
+  });
+});
+
+describe('Caching', () => {
+  function countCalls(adapter) {
+    const calls = {};
+    for (const name of Object.keys(adapter)) {
+      const method = adapter[name];
+      if (typeof method !== 'function') continue;
+      adapter[name] = (...args) => {
+        calls[name] = (calls[name] || 0) + 1;
+        return method(...args);
+      };
+    }
+    return calls;
+  }
+
+  test('serves repeated reads from the cache', async () => {
+    const inner = createMemoryAdapter();
+    const calls = countCalls(inner);
+    const adapter = withCache(inner);
+    const system = new CommentSystem(adapter);
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    await system.getThread('post_1');
+    await system.getThread('post_1');
+    await system.getComment(root.id);
+    await system.getComment(root.id);
+
+    assertEqual(calls.getComments, 1);
+    assertEqual(calls.getComment, 1);
+    assert(adapter.getCacheStats().hits >= 2);
+  });
+
+  test('invalidates on writes', async () => {
+    const system = new CommentSystem(withCache(createMemoryAdapter()));
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    assertEqual(await system.getCount('post_1'), 1);
+    assertEqual((await system.getReplies(root.id)).length, 0);
+
+    const reply = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Reply' });
+    assertEqual(await system.getCount('post_1'), 2);
+    assertEqual((await system.getReplies(root.id)).length, 1);
+
+    await system.updateScore(reply.id, 5);
+    assertEqual((await system.getThread('post_1'))[0].replies[0].score, 5);
+
+    await system.delete(reply.id, 'agent_2');
+    assertEqual((await system.getComment(reply.id)).isDeleted, true);
+
+    await system.deletePost('post_1');
+    assertEqual((await system.getThread('post_1')).length, 0);
+  });
+
+  test('invalidates cached rows of SQL-style adapters', async () => {
+    const rows = new Map();
+    const inner = {
+      async getComment(id) {
+        const row = rows.get(id);
+        return row ? { ...row } : null;
+      },
+      async getComments(postId) {
+        return Array.from(rows.values()).filter(row => row.post_id === postId).map(row => ({ ...row }));
+      },
+      async saveComment(comment) {
+        const row = { id: String(rows.size + 1), post_id: comment.postId, content: comment.content, score: 0, created_at: comment.createdAt };
+        rows.set(row.id, row);
+        return { ...row };
+      },
+      async deleteComment(id) {
+        rows.get(id).is_deleted = true;
+      },
+      async updateScore(id, delta) {
+        rows.get(id).score += delta;
+        return rows.get(id).score;
+      }
+    };
+    const system = new CommentSystem(withCache(inner));
+
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Hi' });
+    await system.getThread('post_1');
+    await system.updateScore(comment.id, 3);
+
+    assertEqual((await system.getThread('post_1'))[0].score, 3);
+    assertEqual(typeof system.adapter.getReplies, 'undefined');
+  });
+
+  test('LRU store evicts the least recently used entry and expires entries', async () => {
+    let time = 0;
+    const store = createLruStore({ maxEntries: 2, now: () => time });
+
+    await store.set('a', 1, 100);
+    await store.set('b', 2, 100);
+    await store.get('a');
+    await store.set('c', 3, 100);
+
+    assertEqual(await store.get('a'), 1);
+    assertEqual(await store.get('b'), undefined);
+
+    time = 100;
+    assertEqual(await store.get('c'), undefined);
+  });
+});
+
+runAdapterConformance(createMemoryAdapter, {
+  name: 'Adapter Conformance: memory',
+  describe,
+  test
+});
+
+runAdapterConformance(() => withCache(createMemoryAdapter()), {
+  name: 'Adapter Conformance: cached memory',
+  describe,
+  test
+});
+
+// One connection, so transactions take turns
+function sqliteTransaction(db) {
+  let last = Promise.resolve();
+
+  return fn => {
+    const run = last.then(async () => {
+      db.exec('BEGIN');
+      try {
+        const result = await fn(async (sql, params) => db.prepare(sql).all(...params));
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+    last = run.catch(() => {});
+    return run;
+  };
+}
+
+runAdapterConformance(async () => {
+  const db = new DatabaseSync(':memory:');
+  const adapter = createSqlAdapter(
+    async (sql, params) => db.prepare(sql).all(...params),
+    { dialect: 'sqlite', transaction: sqliteTransaction(db) }
+  );
+  await adapter.migrate();
+  return adapter;
+}, {
+  name: 'Adapter Conformance: SQLite',
+  describe,
+  test: sqliteTest
+});
+
+describe('Field Normalisation', () => {
+  function createSnakeAdapter() {
+    const rows = new Map();
+    let id = 0;
+
+    return {
+      async getComment(commentId) {
+        return rows.get(commentId) || null;
+      },
+      async getComments(postId) {
+        return Array.from(rows.values()).filter(row => row.post_id === postId);
+      },
+      async saveComment(comment) {
+        id++;
+        const row = {
+          id,
+          post_id: comment.postId,
+          author_id: comment.authorId,
+          content: comment.content,
+          parent_id: comment.parentId,
+          depth: comment.depth,
+          score: comment.score,
+          is_deleted: 0,
+          created_at: comment.createdAt.toISOString()
+        };
+        rows.set(String(id), row);
+        return row;
+      },
+      async deleteComment(commentId) {
+        rows.get(commentId).is_deleted = 1;
+      }
+    };
+  }
+
+  test('normalises snake_case rows from any adapter', async () => {
+    const system = new CommentSystem(createSnakeAdapter(), { fieldMap: 'snake_case' });
+
+    const parent = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Parent' });
+    const reply = await system.reply({ postId: 'post_1', parentId: parent.id, authorId: 'agent_2', content: 'Reply' });
+
+    assertEqual(parent.id, '1');
+    assertEqual(reply.parentId, '1');
+    assertEqual(reply.postId, 'post_1');
+    assert(reply.createdAt instanceof Date);
+    assertEqual(reply.post_id, undefined);
+
+    await system.delete(reply.id, 'agent_2');
+
+    const thread = await system.getThread('post_1');
+    assertEqual(thread[0].replies[0].isDeleted, true);
+    assertEqual((await system.getReplies(parent.id)).length, 1);
+  });
+
+  test('normalizeComment detects snake_case per field', () => {
+    const comment = normalizeComment({ id: 7, post_id: 'p', parentId: 3, created_at: '2025-01-01T00:00:00Z', is_deleted: 1 });
+
+    assertEqual(comment.id, '7');
+    assertEqual(comment.postId, 'p');
+    assertEqual(comment.parentId, '3');
+    assertEqual(comment.isDeleted, true);
+    assertEqual(comment.score, 0);
+    assertEqual(comment.createdAt.getTime(), Date.UTC(2025, 0, 1));
+  });
+
+  test('createNormalizer accepts a custom field map', () => {
+    const normalize = createNormalizer({ postId: 'thread', createdAt: 'ts' });
+    const comment = normalize({ id: 'c1', thread: 'p1', ts: 0, content: 'Hi' });
+
+    assertEqual(comment.postId, 'p1');
+    assertEqual(comment.thread, undefined);
+    assertEqual(comment.createdAt.getTime(), 0);
+    assertEqual(comment.parentId, null);
+  });
+});
+
+describe('Iterators', () => {
+  async function seed(system) {
+    const a = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'A' });
+    const b = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'B' });
+    const a1 = await system.reply({ postId: 'post_1', parentId: a.id, authorId: 'agent_2', content: 'A1' });
+    await system.reply({ postId: 'post_1', parentId: a1.id, authorId: 'agent_3', content: 'A1a' });
+    await system.reply({ postId: 'post_1', parentId: a.id, authorId: 'agent_2', content: 'A2' });
+    await system.reply({ postId: 'post_1', parentId: b.id, authorId: 'agent_2', content: 'B1' });
+  }
+
+  async function collect(iterator) {
+    const contents = [];
+    for await (const comment of iterator) {
+      assertEqual(comment.replies, undefined);
+      contents.push(comment.content);
+    }
+    return contents.join(',');
+  }
+
+  test('iterateThread walks depth-first and breadth-first', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    await seed(system);
+
+    assertEqual(await collect(system.iterateThread('post_1', { sort: 'old', batchSize: 1 })), 'A,A1,A1a,A2,B,B1');
+    assertEqual(await collect(system.iterateThread('post_1', { sort: 'old', order: 'bfs', batchSize: 1 })), 'A,B,A1,A2,B1,A1a');
+  });
+
+  test('iterateThread falls back to an in-memory tree without getReplies', async () => {
+    const adapter = createMemoryAdapter();
+    delete adapter.getReplies;
+    const system = new CommentSystem(adapter);
+    await seed(system);
+
+    assertEqual(await collect(system.iterateThread('post_1', { sort: 'old' })), 'A,A1,A1a,A2,B,B1');
+    assertEqual(await collect(system.iterateThread('post_1', { sort: 'old', order: 'bfs' })), 'A,B,A1,A2,B1,A1a');
+  });
+
+  test('iterateComments pages through every comment', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    await seed(system);
+
+    assertEqual(await collect(system.iterateComments('post_1', { batchSize: 4 })), 'A,B,A1,A1a,A2,B1');
+  });
+
+  test('getCount and the getReplies fallback are not capped', async () => {
+    const adapter = createMemoryAdapter();
+    delete adapter.getCount;
+    delete adapter.getReplies;
+    const system = new CommentSystem(adapter);
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    for (let i = 0; i < 1200; i++) {
+      await adapter.saveComment({ postId: 'post_1', authorId: 'agent_2', content: `Reply ${i}`, parentId: root.id, depth: 1, score: 0 });
+    }
+    const last = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_3', content: 'Last' });
+    await adapter.updateScore(last.id, 5);
+
+    assertEqual(await system.getCount('post_1'), 1202);
+    assertEqual((await system.getReplies(root.id, { limit: 1 }))[0].id, last.id);
+  });
+});
+
+describe('Context View', () => {
+  async function seedChain(system) {
+    const ids = [];
+    let parentId = null;
+
+    for (let depth = 0; depth < 6; depth++) {
+      const comment = parentId
+        ? await system.reply({ postId: 'post_1', parentId, authorId: 'agent_1', content: `Level ${depth}` })
+        : await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Level 0' });
+      ids.push(comment.id);
+      parentId = comment.id;
+    }
+
+    await system.reply({ postId: 'post_1', parentId: ids[2], authorId: 'agent_2', content: 'Sibling' });
+    return ids;
+  }
+
+  function branch(node) {
+    const path = [];
+    while (node && node.type !== 'more') {
+      path.push(node.content);
+      node = node.replies && node.replies[0];
+    }
+    if (node) path.push(`more:${node.count}`);
+    return path.join(' > ');
+  }
+
+  test('returns the ancestor chain and a window of replies', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const ids = await seedChain(system);
+
+    const context = await system.getContext(ids[2], { descendantsDepth: 2, sort: 'old' });
+
+    assertEqual(context.hasMoreAncestors, false);
+    assertEqual(branch(context.comments[0]), 'Level 0 > Level 1 > Level 2 > Level 3 > Level 4 > more:1');
+    assertEqual(context.comments[0].replies[0].replies[0].replies.length, 2);
+  });
+
+  test('limits ancestors and reports when more exist', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const ids = await seedChain(system);
+
+    const context = await system.getContext(ids[4], { ancestors: 1, descendantsDepth: 0 });
+
+    assertEqual(context.hasMoreAncestors, true);
+    assertEqual(branch(context.comments[0]), 'Level 3 > Level 4 > more:1');
+  });
+
+  test('falls back to walking parentId without getAncestors or getReplies', async () => {
+    const adapter = createMemoryAdapter();
+    delete adapter.getAncestors;
+    delete adapter.getReplies;
+    const system = new CommentSystem(adapter);
+    const ids = await seedChain(system);
+
+    const context = await system.getContext(ids[5], { descendantsDepth: 1 });
+
+    assertEqual(branch(context.comments[0]), 'Level 0 > Level 1 > Level 2 > Level 3 > Level 4 > Level 5');
+  });
+});
+
+describe('Export and Import', () => {
+  async function seedThread(system) {
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root\nsecond line' });
+    const reply = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Reply' });
+    await system.reply({ postId: 'post_1', parentId: reply.id, authorId: 'agent_3', content: 'Nested <b>' });
+    const gone = await system.create({ postId: 'post_1', authorId: 'agent_4', content: 'Gone' });
+    await system.delete(gone.id, 'agent_4');
+    return { root, reply };
+  }
+
+  test('exports a versioned JSON snapshot in thread order', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const { root, reply } = await seedThread(system);
+
+    const snapshot = await system.exportThread('post_1');
+
+    assertEqual(snapshot.version, 1);
+    assertEqual(snapshot.postId, 'post_1');
+    assertEqual(snapshot.count, 4);
+    assertEqual(snapshot.comments.map(c => c.depth).join(','), '0,1,2,0');
+    assertEqual(snapshot.comments[1].parentId, root.id);
+    assertEqual(snapshot.comments[2].parentId, reply.id);
+    assertEqual(typeof snapshot.comments[0].createdAt, 'string');
+    assertEqual(snapshot.comments[3].isDeleted, true);
+  });
+
+  test('exports a Markdown transcript indented by depth', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    await seedThread(system);
+
+    const lines = (await system.exportThread('post_1', { format: 'markdown' })).split('\n');
+
+    assertEqual(lines[0], '# Thread post_1');
+    assert(lines[2].startsWith('- **agent_1** · '));
+    assertEqual(lines[3], '  > Root');
+    assertEqual(lines[4], '  > second line');
+    assert(lines[5].startsWith('  - **agent_2** · '));
+    assert(lines[7].startsWith('    - **agent_3** · '));
+  });
+
+  test('exports ActivityStreams notes linked by inReplyTo', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const { root, reply } = await seedThread(system);
+
+    const collection = await system.exportThread('post_1', { format: 'activitystreams', baseUrl: 'https://x.example/' });
+    const [first, second, third, fourth] = collection.orderedItems;
+
+    assertEqual(collection['@context'], 'https://www.w3.org/ns/activitystreams');
+    assertEqual(collection.totalItems, 4);
+    assertEqual(first.type, 'Note');
+    assertEqual(first.inReplyTo, 'https://x.example/posts/post_1');
+    assertEqual(first.attributedTo, 'https://x.example/agents/agent_1');
+    assertEqual(first.content, '<p>Root<br>second line</p>');
+    assertEqual(second.id, `https://x.example/comments/${reply.id}`);
+    assertEqual(second.inReplyTo, `https://x.example/comments/${root.id}`);
+    assertEqual(third.content, '<p>Nested &lt;b&gt;</p>');
+    assertEqual(fourth.type, 'Tombstone');
+  });
+
+  test('imports a snapshot preserving structure and timestamps', async () => {
+    const source = new CommentSystem(createMemoryAdapter());
+    await seedThread(source);
+    const snapshot = JSON.stringify(await source.exportThread('post_1'));
+
+    const target = new CommentSystem(createMemoryAdapter());
+    const result = await target.importThread(snapshot, { postId: 'post_9' });
+    const copy = await target.exportThread('post_9');
+    const original = JSON.parse(snapshot);
+
+    assertEqual(result.count, 4);
+    assertEqual(copy.comments.map(c => c.content).join('|'), original.comments.map(c => c.content).join('|'));
+    assertEqual(copy.comments.map(c => c.createdAt).join('|'), original.comments.map(c => c.createdAt).join('|'));
+    assertEqual(copy.comments[2].parentId, result.ids[original.comments[1].id]);
+    assertEqual(copy.comments[2].depth, 2);
+    assertEqual(copy.comments[3].isDeleted, true);
+  });
+
+  test('rejects unknown formats and malformed exports', async () => {
+    const system = new CommentSystem(createMemoryAdapter());
+    const codes = [];
+
+    for (const attempt of [
+      () => system.exportThread('post_1', { format: 'xml' }),
+      () => system.importThread('{not json'),
+      () => system.importThread({ version: 2, comments: [] }),
+      () => system.importThread({ version: 1, postId: 'p', comments: [{ id: 'a', parentId: 'missing', content: 'x' }] })
+    ]) {
+      try {
+        await attempt();
+      } catch (e) {
+        codes.push(e.code);
+      }
+    }
+
+    assertEqual(codes.join(','), 'INVALID_FORMAT,INVALID_EXPORT,INVALID_EXPORT,INVALID_EXPORT');
+  });
+
+  test('imports keep moderation flags and run in one transaction', async () => {
+    const source = new CommentSystem(createMemoryAdapter(), {
+      moderation: [validators.linkLimit(0, { action: 'flag' })]
+    });
+    await source.create({ postId: 'post_1', authorId: 'agent_1', content: 'See https://example.com' });
+
+    const adapter = createMemoryAdapter();
+    let transactions = 0;
+    const transaction = adapter.transaction;
+    adapter.transaction = fn => {
+      transactions++;
+      return transaction(fn);
+    };
+
+    const target = new CommentSystem(adapter);
+    const { ids } = await target.importThread(await source.exportThread('post_1'));
+    const imported = await adapter.getComment(Object.values(ids)[0]);
+
+    assertEqual(transactions, 1);
+    assertEqual(imported.status, 'pending');
+    assertEqual(imported.flags.length, 1);
+  });
+
+  sqliteTest('a failed import writes nothing', async () => {
+    const db = new DatabaseSync(':memory:');
+    let inserts = 0;
+    const query = async (sql, params) => {
+      if (sql.startsWith('INSERT INTO comments ') && ++inserts === 3) {
+        throw new Error('disk full');
+      }
+      return db.prepare(sql).all(...params);
+    };
+    const adapter = createSqlAdapter(query, {
+      dialect: 'sqlite',
+      transaction: async fn => {
+        db.exec('BEGIN');
+        try {
+          const result = await fn(query);
+          db.exec('COMMIT');
+          return result;
+        } catch (error) {
+          db.exec('ROLLBACK');
+          throw error;
+        }
+      }
+    });
+    await adapter.migrate();
+
+    const source = new CommentSystem(createMemoryAdapter());
+    await seedThread(source);
+    const target = new CommentSystem(adapter);
+    let message = null;
+
+    try {
+      await target.importThread(await source.exportThread('post_1'));
+    } catch (e) {
+      message = e.message;
+    }
+
+    assertEqual(message, 'disk full');
+    assertEqual((await adapter.getComments('post_1')).length, 0);
+  });
+
+  test('removed comments keep their content through export and import', async () => {
+    const options = { canModerate: async () => true };
+    const source = new CommentSystem(createMemoryAdapter(), options);
+    const removed = await source.create({ postId: 'post_1', authorId: 'agent_1', content: 'Borderline' });
+    await source.remove(removed.id, 'mod_1');
+
+    const snapshot = await source.exportThread('post_1');
+    const transcript = await source.exportThread('post_1', { format: 'markdown' });
+
+    const target = new CommentSystem(createMemoryAdapter(), options);
+    const { ids } = await target.importThread(JSON.stringify(snapshot));
+    const imported = ids[removed.id];
+
+    assertEqual((await target.getComment(imported)).content, '[removed]');
+
+    await target.restore(imported, 'mod_1');
+
+    assertEqual(snapshot.comments[0].isRemoved, true);
+    assert(!transcript.includes('Borderline'));
+    assertEqual((await target.getComment(imported)).content, 'Borderline');
+  });
+});
+
+describe('Markdown', () => {
+  test('renders the supported subset', () => {
+    const { html } = renderMarkdown('**Bold** and *em* with `x < y`\n\n> quoted\n\n- one\n- two\n\n1. first');
+
+    assertEqual(html, '<p><strong>Bold</strong> and <em>em</em> with <code>x &lt; y</code></p>'
+      + '<blockquote><p>quoted</p></blockquote>'
+      + '<ul><li>one</li><li>two</li></ul>'
+      + '<ol><li>first</li></ol>');
+  });
+
+  test('escapes HTML and drops unsafe links', () => {
+    const { html, links } = renderMarkdown('<img src=x onerror=alert(1)> [go](javascript:alert) [ok](https://a.example/"x")');
+
+    assert(!html.includes('<img'));
+    assert(!html.includes('javascript:'));
+    assert(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert(html.includes('href="https://a.example/&quot;x&quot;"'));
+    assertEqual(links.join(','), 'https://a.example/"x"');
+  });
+
+  test('extracts links, mentions and hashtags outside code', () => {
+    const rendered = renderComment({
+      content: 'Ask @alice about #agents, see https://example.com/a_b_c.\n\n```\n@bob #not\n```'
+    });
+
+    assertEqual(rendered.links.join(','), 'https://example.com/a_b_c');
+    assertEqual(rendered.mentions.join(','), 'alice');
+    assertEqual(rendered.hashtags.join(','), 'agents');
+    assert(rendered.html.includes('>https://example.com/a_b_c</a>.'));
+  });
+
+  test('adds contentHtml and measures maxLength on plain text', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), { markdown: true, maxLength: 10 });
+
+    const comment = await system.create({ postId: 'post_1', authorId: 'agent_1', content: '[link](https://example.com/long/path)' });
+
+    assertEqual(comment.content, '[link](https://example.com/long/path)');
+    assertEqual(comment.contentHtml, '<p><a href="https://example.com/long/path" rel="nofollow noopener noreferrer">link</a></p>');
+    assertEqual((await system.getThread('post_1'))[0].contentHtml, comment.contentHtml);
+
+    let code = null;
+
+    try {
+      await system.create({ postId: 'post_1', authorId: 'agent_1', content: '**eleven chars**' });
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'MAX_LENGTH');
+  });
+
+  test('caps the source length before rendering', async () => {
+    const system = new CommentSystem(createMemoryAdapter(), { markdown: true, maxLength: 100 });
+    let code = null;
+
+    try {
+      await system.create({ postId: 'post_1', authorId: 'agent_1', content: `[a](https://example.com/${'x'.repeat(2000)})` });
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'MAX_LENGTH');
+  });
+
+  test('renders unclosed markers in linear time', () => {
+    const started = Date.now();
+
+    for (const unit of ['*a ', '_a ', '**a ', '[a ', '[a](b', '`a ']) {
+      const { text } = renderMarkdown(unit.repeat(20000));
+      assertEqual(text.length > 0, true);
+    }
+
+    // The old backtracking patterns took seconds on any one of these
+    assert(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+  });
+
+  test('renders deeply nested quotes without overflowing the stack', async () => {
+    const adapter = createMemoryAdapter();
+    const content = '>'.repeat(5000) + ' x';
+
+    // Stored before markdown was turned on
+    const plain = new CommentSystem(adapter, { maxLength: 10000 });
+    await plain.create({ postId: 'post_1', authorId: 'agent_1', content });
+
+    const system = new CommentSystem(adapter, { markdown: true, maxLength: 10000 });
+    const created = await system.create({ postId: 'post_1', authorId: 'agent_1', content });
+    const thread = await system.getThread('post_1');
+
+    assert(created.contentHtml.startsWith('<blockquote>'));
+    assertEqual(thread.length, 2);
+    assert(thread.every(comment => comment.contentHtml.endsWith('&gt; x</p>' + '</blockquote>'.repeat(8))));
+  });
+
+  test('leaves unmatched backtick runs as text', () => {
+    assertEqual(renderMarkdown('``a` b').html, '<p>``a` b</p>');
+    assertEqual(renderMarkdown('``a`` b').html, '<p><code>a</code> b</p>');
+  });
+});
+
+describe('Tree Building Utils', () => {
+  test('buildTree creates nested structure', () => {
+    const flat = [
+      { id: '1', parentId: null, content: 'Root' },
+      { id: '2', parentId: '1', content: 'Child' },
+      { id: '3', parentId: null, content: 'Another root' }
+    ];
+
+    const tree = buildTree(flat);
+
+    assertEqual(tree.length, 2);
+    assertEqual(tree[0].replies.length, 1);
+  });
+
+  test('tree and sort utilities still read snake_case rows', () => {
+    const rows = [
+      { id: '1', parent_id: null, content: 'Old', created_at: '2025-01-01T00:00:00Z' },
+      { id: '2', parent_id: null, content: 'New', created_at: '2025-02-01T00:00:00Z' },
+      { id: '3', parent_id: '2', content: '[deleted]', is_deleted: true, created_at: '2025-02-02T00:00:00Z' }
+    ];
+
+    const tree = pruneDeleted(buildTree(sortComments(rows, 'new')));
+
+    assertEqual(tree.map(node => node.id).join(), '2,1');
+    assertEqual(tree[0].replies.length, 0);
+  });
+
+  test('flattenTree reverses buildTree', () => {
+    const flat = [
+      { id: '1', parentId: null, content: 'Root' },
+      { id: '2', parentId: '1', content: 'Child' }
+    ];
+
+    const tree = buildTree(flat);
+    const flattened = flattenTree(tree);
+
+    assertEqual(flattened.length, 2);
+  });
+});
+
+describe('Sorting', () => {
+  test('sortComments by top', () => {
+    const comments = [
+      { id: '1', score: 5 },
+      { id: '2', score: 10 },
+      { id: '3', score: 3 }
+    ];
+
+    const sorted = sortComments(comments, 'top');
+
+    assertEqual(sorted[0].id, '2');
+    assertEqual(sorted[1].id, '1');
+    assertEqual(sorted[2].id, '3');
+  });
+
+  test('sortComments by new', () => {
+    const comments = [
+      { id: '1', createdAt: new Date('2025-01-01') },
+      { id: '2', createdAt: new Date('2025-01-03') },
+      { id: '3', createdAt: new Date('2025-01-02') }
+    ];
+
+    const sorted = sortComments(comments, 'new');
+
+    assertEqual(sorted[0].id, '2');
+    assertEqual(sorted[1].id, '3');
+    assertEqual(sorted[2].id, '1');
+  });
+
+  test('sortComments by controversial', () => {
+    const comments = [
+      { id: '1', upvotes: 10, downvotes: 1 },  // Not controversial
+      { id: '2', upvotes: 10, downvotes: 9 },  // Very controversial
+      { id: '3', upvotes: 5, downvotes: 5 }    // Most controversial
+    ];
+
+    const sorted = sortComments(comments, 'controversial');
+
+    // id 2 has highest total with good balance
+    assertEqual(sorted[0].id, '2');
+  });
+});
+
+describe('Best and Hot Sorting', () => {
+  test('sortComments by best favours confident ratios', () => {
+    const comments = [
+      { id: '1', score: 1, upvotes: 1, downvotes: 0 },
+      { id: '2', score: 10, upvotes: 50, downvotes: 40 },
+      { id: '3', score: 95, upvotes: 100, downvotes: 5 }
+    ];
+
+    const sorted = sortComments(comments, 'best');
+
+    assertEqual(sorted[0].id, '3');
+    assert(wilsonScore(100, 5) > wilsonScore(1, 0));
+    assertEqual(wilsonScore(0, 0), 0);
+  });
+
+  test('sortComments by hot decays with age', () => {
+    const now = Date.now();
+    const comments = [
+      { id: 'old', score: 50, createdAt: new Date(now - 7 * 24 * 3600 * 1000) },
+      { id: 'fresh', score: 5, createdAt: new Date(now) }
+    ];
+
+    const sorted = sortComments(comments, 'hot');
+
+    assertEqual(sorted[0].id, 'fresh');
+  });
+
+  test('registered sorts work through getThread', async () => {
+    registerSort('test:shortest', (a, b) => a.content.length - b.content.length);
+
+    const adapter = createMemoryAdapter();
+    const system = new CommentSystem(adapter);
+
+    await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'A long comment' });
+    const short = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Hi' });
+
+    const thread = await system.getThread('post_1', { sort: 'test:shortest' });
+
+    assertEqual(thread[0].id, short.id);
+  });
+
+  test('built-in sorts cannot be overridden', async () => {
+    let error = null;
+    try {
+      registerSort('top', (a, b) => a.content.length - b.content.length);
+    } catch (e) {
+      error = e;
+    }
+
+    assert(error, 'Should refuse to replace a built-in sort');
+
+    const sorted = sortComments([
+      { id: 'low', score: 1, content: 'a', createdAt: new Date() },
+      { id: 'high', score: 9, content: 'a longer comment', createdAt: new Date() }
+    ], 'top');
+
+    assertEqual(sorted[0].id, 'high');
+  });
+});
+
+describe('SQL Adapter', () => {
+  async function createSqliteAdapter() {
+    const db = new DatabaseSync(':memory:');
+    const adapter = createSqlAdapter(
+      async (sql, params) => db.prepare(sql).all(...params),
+      { dialect: 'sqlite' }
+    );
+    await adapter.migrate();
+    return adapter;
+  }
+
+  test('rewrites placeholders for postgres', async () => {
+    const calls = [];
+    const adapter = createSqlAdapter(async (sql, params) => {
+      calls.push([sql, params]);
+      return [];
+    });
+
+    await adapter.getVote('comment_1', 'agent_1');
+
+    assertEqual(calls[0][0], 'SELECT value FROM comment_votes WHERE comment_id = $1 AND agent_id = $2');
+    assertEqual(calls[0][1].length, 2);
+  });
+
+  sqliteTest('stores and normalises comments in SQLite', async () => {
+    const adapter = await createSqliteAdapter();
+    const system = new CommentSystem(adapter);
+
+    const parent = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Parent' });
+    const reply = await system.reply({ postId: 'post_1', parentId: parent.id, authorId: 'agent_2', content: 'Reply' });
+
+    assertEqual(reply.parentId, parent.id);
+    assertEqual(reply.depth, 1);
+    assert(reply.createdAt instanceof Date);
+    assertEqual(reply.isDeleted, false);
+
+    const thread = await system.getThread('post_1');
+
+    assertEqual(thread.length, 1);
+    assertEqual(thread[0].replies[0].id, reply.id);
+    assertEqual(await system.getCount('post_1'), 2);
+  });
+
+  sqliteTest('sorts in SQLite like sortComments', async () => {
+    const adapter = await createSqliteAdapter();
+    const system = new CommentSystem(adapter);
+
+    const calm = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Calm' });
+    const heated = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Heated' });
+
+    await system.vote(calm.id, 'agent_2', 'up');
+    await system.vote(calm.id, 'agent_3', 'up');
+    await system.vote(heated.id, 'agent_2', 'up');
+    await system.vote(heated.id, 'agent_3', 'down');
+
+    const top = await adapter.getComments('post_1', { sort: 'top' });
+    const controversial = await adapter.getComments('post_1', { sort: 'controversial' });
+    const best = await adapter.getComments('post_1', { sort: 'best' });
+
+    assertEqual(top[0].id, calm.id);
+    assertEqual(top[0].upvotes, 2);
+    assertEqual(controversial[0].id, heated.id);
+    assertEqual(best[0].id, calm.id);
+  });
+
+  sqliteTest('rolls back failed transactions in SQLite', async () => {
+    const db = new DatabaseSync(':memory:');
+    const adapter = createSqlAdapter(
+      async (sql, params) => db.prepare(sql).all(...params),
+      { dialect: 'sqlite', transaction: sqliteTransaction(db) }
+    );
+    await adapter.migrate();
+    const system = new CommentSystem(adapter, {
+      hooks: { beforeReply: () => { throw new CommentError('Vetoed', 'VETOED'); } }
+    });
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+
+    try {
+      await adapter.transaction(async tx => {
+        await tx.saveComment({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Lost', depth: 1 });
+        throw new Error('Abort');
+      });
+    } catch (e) {
+      // Expected
+    }
+
+    let code = null;
+    try {
+      await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_2', content: 'Vetoed' });
+    } catch (e) {
+      code = e.code;
+    }
+
+    assertEqual(code, 'VETOED');
+    assertEqual(await system.getCount('post_1'), 1);
+    assertEqual((await system.getComment(root.id)).replyCount, 0);
+  });
+
+  sqliteTest('supports votes, edits and purges in SQLite', async () => {
+    const adapter = await createSqliteAdapter();
+    const system = new CommentSystem(adapter);
+
+    const root = await system.create({ postId: 'post_1', authorId: 'agent_1', content: 'Root' });
+    const child = await system.reply({ postId: 'post_1', parentId: root.id, authorId: 'agent_1', content: 'Child' });
+    await system.create({ postId: 'post_1', authorId: 'agent_2', content: 'Other' });
+
+    await system.vote(root.id, 'agent_2', 'up');
+    const flipped = await system.vote(root.id, 'agent_2', 'down');
+    assertEqual(flipped.score, -1);
+    assertEqual(flipped.downvotes, 1);
+
+    const edited = await system.edit(child.id, 'agent_1', 'Edited child');
+    assert(edited.editedAt instanceof Date);
+    assertEqual((await system.getRevisions(child.id))[0].content, 'Child');
+
+    await system.delete(root.id, 'agent_1');
+    assertEqual((await system.getComment(root.id)).isDeleted, true);
+
+    const result = await system.purgeAgent('agent_1', { mode: 'remove' });
+    assertEqual(result.removed, 2);
+    assertEqual(await system.getCount('post_1'), 1);
+
+    assertEqual(await system.deletePost('post_1'), 1);
   });
 });
 